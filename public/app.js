@@ -17,11 +17,46 @@ function waitIce(pc, ms=2500){
   }), ms).catch(()=>{});
 }
 
+// --- data-channel trace (record) ---
+// Every inbound (dc.onmessage / mock) and outbound (safeSend) event, with timing.
+// Exported as .jsonl: a header line, then { t, ts, dir:'in'|'out', ev } per event.
+const TRACE_MAX=50000;
+const traceRec={ entries:[], t0:0, paused:false };
+function traceEvent(dir, ev, extra){
+  if(traceRec.paused || !ev) return;
+  const ts=Date.now(); if(!traceRec.t0) traceRec.t0=ts;
+  if(traceRec.entries.length>=TRACE_MAX) traceRec.entries.shift();
+  traceRec.entries.push({ t:ts-traceRec.t0, ts, dir, ev, ...(extra||{}) });
+}
+function traceReset(){ traceRec.entries=[]; traceRec.t0=0; }
+function traceToJsonl(){
+  const header={ type:'trace.header', version:1, started_at:traceRec.t0?new Date(traceRec.t0).toISOString():null, count:traceRec.entries.length };
+  return [header, ...traceRec.entries].map(e=>JSON.stringify(e)).join('\n')+'\n';
+}
+function parseTrace(text){
+  const out=[];
+  for(const line of (text||'').split(/\r?\n/)){
+    if(!line.trim()) continue;
+    let e=null; try{ e=JSON.parse(line); }catch{ continue; }
+    if(e?.type==='trace.header') continue;
+    if(e && (e.dir==='in'||e.dir==='out') && e.ev && typeof e.t==='number') out.push(e);
+  }
+  return out.sort((a,b)=>a.t-b.t);
+}
+function downloadText(filename, text, type='text/plain'){
+  const url=URL.createObjectURL(new Blob([text],{ type }));
+  const a=document.createElement('a'); a.href=url; a.download=filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+
 // --- WebRTC connect ---
 async function connectRealtime(){
   const sRes=await fetch('/session');
   if(!sRes.ok) throw new Error('Failed to get ephemeral session');
-  const { client_secret, base_url, model } = await sRes.json();
+  const session = await sRes.json();
+  if(session.mock) return connectMock(session.script);
+  const { client_secret, base_url, model } = session;
   if(!client_secret) throw new Error('No client_secret returned');
 
   const pc=new RTCPeerConnection({
@@ -58,6 +93,7 @@ async function connectRealtime(){
     dc.onmessage=(msg)=>{
       let ev=null; try{ ev=JSON.parse(msg.data); }catch{ log('[dc<- raw]', msg.data); return; }
       if(ev?.type) log('[dc<-]', ev.type);
+      traceEvent('in', ev);
       routerRef.current?.(ev);
     };
   }
@@ -96,6 +132,112 @@ async function connectRealtime(){
   return { pc, get dc(){ return dc; }, setHandler(fn){ routerRef.current=fn; }, stop, micTrack, micSender, remoteStream };
 }
 
+// --- Mock transport (server started with MOCK=1) ---
+// Same shape as connectRealtime(), but no WebRTC: outbound events are read by a
+// tiny fake Realtime server that replays the scripted events from the fixture.
+//  - response.create (definition_greeter)  -> script.greeter
+//  - response.create (anything else)       -> next script.replies[] entry (or a generic reply)
+//  - input_audio_buffer.commit             -> next script.turns[] entry (user transcript)
+//  - conversation.item.create (typed turn)  -> conversation.item.created echo
+//  - response.create with modalities ['text'] replays the reply as text events (no audio)
+//  - response.cancel                       -> drops that response's queued events + response.done
+function connectMock(script={}, { stepMs=60 }={}){
+  const routerRef={ current:null };
+  const queue=[]; let timer=null; let closed=false;
+  const cancelled=new Set();
+  let turnIdx=0, replyIdx=0, genIdx=0;
+
+  const ridOf=(ev)=>ev?.response?.id || ev?.response_id || null;
+  // Text-only replies: transcript deltas become text deltas; audio buffer events are dropped.
+  const asTextOnly=(events)=>events
+    .filter(e=>!/^output_audio_buffer\.|^response\.audio\./.test(e.type))
+    .map(e=>e.type==='response.audio_transcript.delta' ? { ...e, type:'response.text.delta' } : e);
+  function pump(){
+    timer=null;
+    if(closed || !queue.length) return;
+    const ev=queue.shift();
+    const rid=ridOf(ev);
+    if(!(rid && cancelled.has(rid))){
+      log('[mock<-]', ev.type);
+      traceEvent('in', ev);
+      routerRef.current?.(structuredClone(ev));
+    }
+    if(queue.length) timer=setTimeout(pump, stepMs);
+  }
+  function emit(events){
+    queue.push(...(events||[]));
+    if(!timer) timer=setTimeout(pump, stepMs);
+  }
+  function genericReply(){
+    const id=`resp_mock_${++genIdx}`;
+    return [
+      { type:'response.created', response:{ id } },
+      { type:'response.audio_transcript.delta', response_id:id, delta:`(mock reply ${genIdx})` },
+      { type:'response.done', response:{ id } }
+    ];
+  }
+
+  const dc={
+    readyState:'open',
+    addEventListener(){},
+    close(){ closed=true; dc.readyState='closed'; },
+    send(payload){
+      if(closed) throw new Error('mock channel closed');
+      const ev=JSON.parse(payload);
+      switch(ev.type){
+        case 'session.update': emit([{ type:'session.updated', session:ev.session }]); break;
+        case 'input_audio_buffer.clear': emit([{ type:'input_audio_buffer.cleared' }]); break;
+        case 'input_audio_buffer.commit': {
+          const turn=script.turns?.[turnIdx++];
+          if(turn) emit(turn); else log('[mock] script has no more user turns');
+          break;
+        }
+        case 'response.cancel': {
+          if(ev.response_id){
+            const id=ev.response_id;
+            cancelled.add(id);
+            setTimeout(()=>{
+              if(closed) return;
+              const done={ type:'response.done', response:{ id, status:'cancelled' } };
+              traceEvent('in', done);
+              routerRef.current?.(done);
+            }, 0);
+            emit([{ type:'output_audio_buffer.cleared' }]);
+          }
+          break;
+        }
+        case 'conversation.item.create': {
+          const item={ id:`item_mock_typed_${++genIdx}`, status:'completed', ...ev.item };
+          emit([{ type:'conversation.item.created', item }]);
+          break;
+        }
+        case 'response.create': {
+          if(ev.response?.tool_outputs) break;   // tool results need no scripted reply
+          const events=ev.response?.metadata?.kind==='definition_greeter'
+            ? (script.greeter||genericReply())
+            : (script.replies?.[replyIdx++] || genericReply());
+          const textOnly=Array.isArray(ev.response?.modalities) && !ev.response.modalities.includes('audio');
+          emit(textOnly ? asTextOnly(events) : events);
+          break;
+        }
+        default: break;
+      }
+    }
+  };
+  const pc={ connectionState:'connected', onconnectionstatechange:null };
+
+  function stop(){
+    closed=true; dc.readyState='closed';
+    if(timer) clearTimeout(timer);
+    queue.length=0;
+    pc.connectionState='closed';
+    pc.onconnectionstatechange?.();
+  }
+
+  log('[mock] transport ready');
+  return { pc, get dc(){ return dc; }, setHandler(fn){ routerRef.current=fn; }, stop, micTrack:null, micSender:null, remoteStream:null, mock:true };
+}
+
 // --- POST JSON ---
 async function postJSON(url, body){
   const res=await fetch(url,{ method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify(body) });
@@ -103,15 +245,135 @@ async function postJSON(url, body){
   return res.json();
 }
 
+// --- POST JSON, read Server-Sent Events ---
+// onEvent(event, data) is called per SSE block; resolves when the stream ends.
+async function postSSE(url, body, onEvent, signal){
+  const res=await fetch(url,{ method:'POST', headers:{ 'Content-Type':'application/json', Accept:'text/event-stream' }, body:JSON.stringify(body), signal });
+  if(!res.ok || !res.body) throw new Error(`${url} ${res.status}`);
+  const reader=res.body.getReader(); const decoder=new TextDecoder();
+  let buf='';
+  for(;;){
+    const { value, done }=await reader.read();
+    if(done) break;
+    buf+=decoder.decode(value,{ stream:true }).replace(/\r\n/g,'\n');
+    let i;
+    while((i=buf.indexOf('\n\n'))!==-1){
+      const block=buf.slice(0,i); buf=buf.slice(i+2);
+      let event='message'; const data=[];
+      for(const line of block.split('\n')){
+        if(line.startsWith('event:')) event=line.slice(6).trim();
+        else if(line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      let parsed=null; try{ parsed=JSON.parse(data.join('\n')); }catch{ parsed=data.join('\n'); }
+      onEvent(event, parsed);
+    }
+  }
+}
+
 // --- viz ---
-function renderViz(el, state){
+// --- Perspective State schema ---
+// Buckets come from the server's schema config (GET /schema); empty until loadStateSchema() resolves.
+let STATE_BUCKETS=[];   // [{ key, label, description, kind, fields:[{ name, type, label, values?, default? }] }]
+let STATE_LABEL='Perspective State';
+let DEFINITION_SCHEMA={ properties:{}, required:[] };   // decision definition pack (Definition Gate)
+function bucketKeys(){ return STATE_BUCKETS.map(b=>b.key); }
+// The schema's kind "options" bucket mirrors the grid's options; schemas without one skip that.
+function optionsBucket(){ return STATE_BUCKETS.find(b=>b.kind==='options')?.key || null; }
+function emptyState(){ return Object.fromEntries(bucketKeys().map(k=>[k,[]])); }
+async function loadStateSchema(){
+  const res=await fetch('/schema');
+  if(!res.ok) throw new Error(`/schema ${res.status}`);
+  const schema=await res.json();
+  STATE_BUCKETS=(schema.buckets||[]).filter(b=>b?.key);
+  STATE_LABEL=schema.label||STATE_LABEL;
+  if(schema.definition?.properties) DEFINITION_SCHEMA=schema.definition;
+  return schema;
+}
+
+// Known definition fields only: strings trimmed, lists from arrays or comma/newline-separated text.
+function normalizeDefinition(raw){
+  const out={};
+  for(const [k,spec] of Object.entries(DEFINITION_SCHEMA.properties)){
+    const v=raw?.[k];
+    if(spec.type==='array'){
+      const list=(Array.isArray(v) ? v : typeof v==='string' ? v.split(/[,\n]/) : []).map(x=>String(x).trim()).filter(Boolean);
+      if(list.length) out[k]=list;
+    }else if(typeof v==='string' && v.trim()) out[k]=v.trim();
+  }
+  return out;
+}
+function definitionMissing(def){
+  return (DEFINITION_SCHEMA.required||[]).filter(k=>{ const v=def?.[k]; return Array.isArray(v) ? !v.length : !(typeof v==='string' && v.trim()); });
+}
+function fieldLabel(key){ return key.charAt(0).toUpperCase()+key.slice(1).replace(/_/g,' '); }
+
+// Editor for one record field (owner, due, status, ...); non-ISO dates stay free text.
+// ref fields pick an item of the buckets they name (state is the current Perspective State).
+function fieldEditor(f, v, state){
+  const val=v ?? f.default ?? '';
+  const name=f.label||f.name;
+  const attrs=`class="vz-field" data-field="${escapeHtml(f.name)}" title="${escapeHtml(name)}"`;
+  const select=values=>`<select ${attrs}><option value="">${escapeHtml(name)}</option>${values.map(x=>`<option${x===val?' selected':''}>${escapeHtml(x)}</option>`).join('')}</select>`;
+  if(f.type==='enum') return select(f.values||[]);
+  if(f.type==='ref'){
+    const items=(f.ref||[]).flatMap(k=>state?.[k]||[]);
+    return select(val && !items.includes(val) ? [...items, val] : items);
+  }
+  const type=f.type==='number' ? 'number' : f.type==='date' && (!val || /^\d{4}-\d{2}-\d{2}$/.test(String(val))) ? 'date' : 'text';
+  return `<input ${attrs} type="${type}" value="${escapeHtml(String(val))}" placeholder="${escapeHtml(name)}" />`;
+}
+
+// isPinned(bucket, text) marks locked items; editable adds pin/delete buttons and a per-card add box.
+// fieldsOf(bucket, text) gives the field values of items in record buckets.
+function renderViz(el, state, { isPinned=()=>false, fieldsOf=()=>null, editable=false }={}){
   if(!el) return;
-  const cols=[ ['goals','Goals'], ['facts','Facts'], ['questions','Questions'], ['options','Options'], ['decisions','Decisions'], ['next_steps','Next steps'], ['risks','Risks'] ];
-  el.innerHTML=cols.map(([k,label])=>{
-    const items=(state?.[k]||[]).map(v=>`<span class="pill">${escapeHtml(v)}</span>`).join('');
-    return `<div class="card"><h4>${label}</h4>${items || '<div class="small">—</div>'}</div>`;
+  el.innerHTML=STATE_BUCKETS.map((bucket)=>{
+    const { key:k, label, description, kind, fields=[] }=bucket;
+    const items=(state?.[k]||[]).map(v=>{
+      const pinned=isPinned(k, v);
+      const tools=editable
+        ? ` <button class="vz-pin" title="${pinned?'Unpin':'Pin (protect from automatic removal)'}">${pinned?'📌':'📍'}</button><button class="vz-del" title="Delete">×</button>`
+        : '';
+      const vals=fieldsOf(k, v)||{};
+      const rec=!fields.length ? ''
+        : editable ? `<span class="vz-fields">${fields.map(f=>fieldEditor(f, vals[f.name], state)).join('')}</span>`
+        : `<span class="vz-fields small">${fields.filter(f=>vals[f.name]!=null).map(f=>`${escapeHtml(f.label||f.name)}: ${escapeHtml(String(vals[f.name]))}`).join(' · ')}</span>`;
+      const answered=kind==='questions' && vals.status==='answered';
+      return `<span class="pill${pinned?' pinned':''}${answered?' answered':''}" data-bucket="${k}" data-text="${escapeHtml(v)}" title="Click: provenance • double-click: edit">${escapeHtml(v)}${tools}${rec}</span>`;
+    }).join('');
+    const add=editable ? `<input class="vz-add" data-bucket="${k}" placeholder="Add…" style="width:100%;box-sizing:border-box;margin-top:6px;" />` : '';
+    const heat=kind==='risks' ? riskHeatMap(bucket, state?.[k]||[], fieldsOf) : '';
+    const open=kind==='questions' ? (state?.[k]||[]).filter(v=>fieldsOf(k, v)?.status!=='answered').length : null;
+    const count=open===null ? '' : ` <span class="small">(${open} open)</span>`;
+    return `<div class="card"><h4 title="${escapeHtml(description)}">${escapeHtml(label)}${count}</h4>${heat}${items || '<div class="small">—</div>'}${add}</div>`;
+  }).join('');
+}
+// Likelihood × impact heat map for a "risks" bucket (both enum fields, low → high).
+// Each cell counts the risks rated there; ⚠ marks cells holding a risk with no mitigation.
+function riskHeatMap(bucket, items, fieldsOf){
+  const L=bucket.fields?.find(f=>f.name==='likelihood'), I=bucket.fields?.find(f=>f.name==='impact');
+  if(L?.type!=='enum' || I?.type!=='enum') return '';
+  const cells=new Map(); let unrated=0;
+  for(const text of items){
+    const v=fieldsOf(bucket.key, text)||{};
+    if(!L.values.includes(v.likelihood) || !I.values.includes(v.impact)){ unrated++; continue; }
+    const key=`${v.likelihood}|${v.impact}`;
+    cells.set(key, [...(cells.get(key)||[]), { text, open:!v.mitigation }]);
+  }
+  const span=Math.max(1, L.values.length+I.values.length-2);
+  const rows=[...I.values].reverse().map(iv=>{
+    const ii=I.values.indexOf(iv);
+    const tds=L.values.map((lv,li)=>{
+      const list=cells.get(`${lv}|${iv}`)||[];
+      const hue=Math.round(120-120*(li+ii)/span);
+      const tip=list.map(r=>`${r.text}${r.open?' (no mitigation)':''}`).join('\n');
+      return `<td title="${escapeHtml(tip)}" style="background:hsl(${hue},70%,${list.length?72:93}%);">${list.length||''}${list.some(r=>r.open)?'⚠':''}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(iv)}</th>${tds}</tr>`;
   }).join('');
+  return `<table class="vz-heat"><caption class="small">Impact ↑ × likelihood →${unrated?` • ${unrated} unrated`:''}</caption>${rows}<tr><th></th>${L.values.map(v=>`<th>${escapeHtml(v)}</th>`).join('')}</tr></table>`;
 }
+
 function escapeHtml(s){ return (s||'').replace(/[&<>"']/g,m=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
 function genId(prefix){ const n=Math.random().toString(36).slice(2,7); return `${prefix}_${Date.now().toString(36)}${n}`; }
 
@@ -120,6 +382,136 @@ const STOP=new Set('a,an,the,of,to,in,on,for,with,from,into,by,at,as,and,or,not,
 function tokens(s){ return (s||'').toLowerCase().replace(/[^a-z0-9\s]/g,' ').split(/\s+/).filter(w=>w && !STOP.has(w)); }
 function overlap(a,b){ const A=new Set(a); for(const w of b) if(A.has(w)) return true; return false; }
 
+// --- near-duplicate scoring (offline, lexical) ---
+// Dice overlap of normalized content words: numbers are canonicalized ($2k, 2,000 -> 2000),
+// light stemming, and a small synonym table folds common paraphrases onto one word.
+// Items that mention different numbers or identifiers ("vendor A" vs "vendor B"), that bound
+// in opposite directions (under vs over), or where only one is negated, are never duplicates.
+const SIM_THRESHOLD=0.7;
+const SIM_FILLER=new Set('keep,want,wants,need,needs,get,make,really,very,also,like,some,any,all,more,much,per,each,one'.split(','));
+const SIM_SYNONYMS=Object.fromEntries([
+  ['cost','budget,rent,price,prices,pricing,spend,spending,expense,expenses'],
+  ['cheap','cheaper,affordable,inexpensive'],
+  ['expensive','pricey,pricier,costly'],
+  ['dir:max','under,below,less,within,cap,capped,limit,maximum,most,upto'],
+  ['dir:min','over,above,least,minimum'],
+  ['month','monthly,mo'],
+  ['minute','min,mins,minutes'],
+  ['commute','travel,commuting,drive,ride,transit'],
+  ['size','space,spacious,sqft,square,footage'],
+  ['big','bigger,large,larger,huge'],
+  ['small','smaller,tiny,compact'],
+  ['choose','pick,select,decide,choice'],
+  ['check','verify,confirm,validate'],
+  ['risk','danger,concern,worry']
+].flatMap(([canon, list])=>list.split(',').map(w=>[w, canon])));
+// Identifiers: single letters ("vendor A", "plan b"; not "I" or the article "a") and letter+digit codes ("B2", "v3").
+function simIdents(s){
+  return (s||'').split(/[^A-Za-z0-9]+/).filter(Boolean).filter((w,i)=>
+    w.length===1 ? /[b-hj-zB-HJ-Z]/.test(w) || (w==='A' && i>0) : /^[a-z]+\d+[a-z0-9]*$/i.test(w)
+  ).map(w=>`id:${w.toLowerCase()}`);
+}
+function simTokens(s){
+  const out=new Set(simIdents(s));
+  const text=(s||'').toLowerCase()
+    .replace(/\$?\s*(\d+(?:[.,]\d+)?)\s*k\b/g, (_,n)=>String(Math.round(parseFloat(n.replace(',','.'))*1000)))
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/\bup to\b/g, 'upto')
+    .replace(/[^a-z0-9\s]/g, ' ');
+  for(let w of text.split(/\s+/)){
+    if(!w) continue;
+    if(SIM_SYNONYMS[w]){ out.add(SIM_SYNONYMS[w]); continue; }
+    if(STOP.has(w) || SIM_FILLER.has(w)) continue;
+    if(w.length<2 || out.has(`id:${w}`)) continue;
+    if(!/^\d/.test(w)) w=w.replace(/ing$/, '').replace(/([^s])s$/, '$1') || w;
+    out.add(SIM_SYNONYMS[w] || w);
+  }
+  return out;
+}
+const NEGATED=/\b(not|no|never|without)\b|n['’]t\b/i;
+function similarity(a, b){
+  if(NEGATED.test(a||'')!==NEGATED.test(b||'')) return 0;
+  const A=simTokens(a), B=simTokens(b);
+  if(!A.size || !B.size) return 0;
+  // Both mention numbers / identifiers / bounds, but none in common -> different items
+  for(const kind of [w=>/^\d/.test(w), w=>w.startsWith('id:'), w=>w.startsWith('dir:')]){
+    const ka=[...A].filter(kind), kb=[...B].filter(kind);
+    if(ka.length && kb.length && !ka.some(w=>B.has(w))) return 0;
+  }
+  let inter=0; for(const w of A) if(B.has(w)) inter++;
+  return 2*inter/(A.size+B.size);
+}
+
+// --- decision grid scoring ---
+// Each criterion has an importance (>= 0, default 1). A cell's value is its weight
+// (−100..+100) scaled by its confidence; an option's score is the importance-
+// weighted mean of its cell values over all criteria (a missing cell counts as 0).
+// Sensitivity: for each criterion, the smallest importance change that would let
+// another option overtake the current top choice.
+const DEFAULT_IMPORTANCE=1;
+function gridKey(s){ return (s||'').trim().toLowerCase(); }
+// The name already in the set that matches case-insensitively, else the name itself (added).
+function gridEntry(set, name){
+  const v=(name||'').trim(); if(!v) return '';
+  const hit=Array.from(set).find(x=>gridKey(x)===gridKey(v));
+  if(hit) return hit;
+  set.add(v); return v;
+}
+function criterionImportance(grid, c){
+  const v=Number(grid.weights?.get(gridKey(c)) ?? DEFAULT_IMPORTANCE);
+  return Number.isFinite(v) && v>0 ? v : 0;
+}
+function scoreGrid(grid){
+  const options=Array.from(grid.options); const criteria=Array.from(grid.criteria);
+  const imp=criteria.map(c=>criterionImportance(grid, c));
+  const totalImp=imp.reduce((a,b)=>a+b,0);
+  const val=(o,c)=>{
+    const cell=grid.cells.get(`${gridKey(o)}|${gridKey(c)}`);
+    return cell ? (Number(cell.weight)||0)*Math.max(0,Math.min(1,Number(cell.conf)||0)) : null;
+  };
+
+  const ranking=options.map(o=>{
+    let sum=0, filled=0;
+    criteria.forEach((c,i)=>{ const v=val(o,c); if(v!=null){ sum+=imp[i]*v; filled++; } });
+    return { option:o, score: totalImp ? sum/totalImp : 0, coverage: criteria.length ? filled/criteria.length : 0 };
+  }).sort((a,b)=>b.score-a.score);
+
+  const sensitivity=[];
+  if(ranking.length>=2 && criteria.length){
+    const top=ranking[0].option;
+    criteria.forEach((c,i)=>{
+      let best=null;
+      for(const r of ranking.slice(1)){
+        // top − challenger is linear in this criterion's importance: A + x·d
+        const d=criteria.map(cc=>(val(top,cc)??0)-(val(r.option,cc)??0));
+        if(!d[i]) continue;
+        const A=d.reduce((s,dk,k)=>k===i ? s : s+imp[k]*dk, 0);
+        const tie=-A/d[i];
+        if(!Number.isFinite(tie) || tie<0) continue;
+        const direction=d[i]<0 ? 'increase' : 'decrease';
+        if(direction==='increase' ? tie<imp[i] : tie>imp[i]) continue;
+        const change=Math.abs(tie-imp[i]);
+        if(!best || change<best.change) best={ criterion:c, from:imp[i], to:tie, direction, challenger:r.option, change };
+      }
+      if(best) sensitivity.push(best);
+    });
+    sensitivity.sort((a,b)=>a.change-b.change);
+  }
+  return { ranking, sensitivity, criteria: criteria.map((c,i)=>({ criterion:c, importance:imp[i] })) };
+}
+function describeScore(result){
+  const { ranking, sensitivity }=result;
+  if(!ranking.length) return 'The grid has no options yet.';
+  const fmt=n=>(Math.round(n*10)/10).toString();
+  const lines=[`Ranking: ${ranking.map((r,i)=>`${i+1}) ${r.option} (score ${fmt(r.score)}, ${Math.round(r.coverage*100)}% of criteria rated)`).join(', ')}.`];
+  if(ranking.length<2) return lines[0];
+  if(!sensitivity.length) lines.push(`No single change in criterion importance would flip ${ranking[0].option} out of first place.`);
+  for(const s of sensitivity.slice(0,3)){
+    lines.push(`${s.challenger} would overtake ${ranking[0].option} if the importance of ${s.criterion} ${s.direction==='increase'?'rose above':'fell below'} ${fmt(s.to)} (now ${fmt(s.from)}).`);
+  }
+  return lines.join(' ');
+}
+
 // --- audio gate helper ---
 function setAssistantMuted(m){
   const el = document.getElementById('assistant-audio');
@@ -133,19 +525,20 @@ export default function App(){
   const connRef=useRef(null);
   const transcriptRef=useRef([]);
   const summaryRef=useRef('Say something and then press SPACE…');
-  const stateRef=useRef({goals:[],facts:[],questions:[],options:[],decisions:[],next_steps:[],risks:[]});
+  const stateRef=useRef(emptyState());
   const idMapRef=useRef(new Map());
 
   // Definition Gate
   const gateOpenRef = useRef(false);
-  const defPackRef    = useRef(null);     // holds the accepted pack object/string
+  const defPackRef    = useRef(null);     // definition pack { title, scope, time_window, participants[], axes[] } (partial while the gate is open)
   const consentRef    = useRef(false);
 
   // ---- Minimal PV-like grid model + proposals ----
   const gridMDRef = useRef({
     options: new Set(),              // row ids
     criteria: new Set(),             // column ids
-    cells: new Map()                 // key: `${opt}|${crit}` -> { weight, conf, rationale }
+    cells: new Map(),                // key: `${opt}|${crit}` -> { option, criterion, weight, conf, rationale }
+    weights: new Map()               // key: crit (lowercase) -> importance (>= 0, default 1)
   });
   const proposalsRef = useRef([]);   // [{ id, type, option, criterion, weight, conf, rationale, source, ts }]
 
@@ -156,58 +549,190 @@ export default function App(){
     const seen = new Set(proposalsRef.current.map(p=>pKey(p)));
     for(const p of list){
       const key = pKey(p);
-      if(!seen.has(key)){ proposalsRef.current.push({ id: genId('gp'), ts: Date.now(), source: p.source||'heuristic', ...p }); seen.add(key); }
+      if(!seen.has(key)){ proposalsRef.current.push({ id: genId('gp'), ts: Date.now(), source: p.source||'model', ...p }); seen.add(key); }
     }
     renderGridPanel();
   }
 
+  // Matrix view (options × criteria) + proposal log. Accepted cells are edited
+  // inline; pending proposals render as highlighted ghost rows/columns/cells that
+  // can be tweaked and accepted in place.
   function renderGridPanel(){
     const el = document.getElementById('grid-proposals');
     if(!el) return;
-    const rows = proposalsRef.current.map(p=>{
+    const grid = gridMDRef.current;
+    const pending = proposalsRef.current;
+
+    const rows = Array.from(grid.options, name=>({ name, ghost:null }));
+    const cols = Array.from(grid.criteria, name=>({ name, ghost:null }));
+    // pending-only rows/columns; an add_* proposal owns the header so its name can be edited
+    const addGhost = (list, name, owner) => {
+      const hit = list.find(x=>gridKey(x.name)===gridKey(name));
+      if(!hit) list.push({ name, ghost:owner, pendingOnly:true });
+      else if(hit.pendingOnly && owner && !hit.ghost) hit.ghost = owner;
+    };
+    for(const p of pending){
+      if(p.option && (p.type==='add_option'||p.type==='set_cell')) addGhost(rows, p.option, p.type==='add_option'?p:null);
+      if(p.criterion && (p.type==='add_criterion'||p.type==='set_cell')) addGhost(cols, p.criterion, p.type==='add_criterion'?p:null);
+    }
+
+    const attr = v => escapeHtml(String(v ?? ''));
+    const ghostBtns = p => `<button class="gp-accept" data-pid="${p.id}" title="Accept">✓</button><button class="gp-discard" data-pid="${p.id}" title="Discard">✗</button>`;
+    const headCell = c => c.pendingOnly
+      ? `<th class="gm-ghost">${c.ghost
+          ? `<input class="gp-name" data-pid="${c.ghost.id}" value="${attr(c.name)}" style="width:7rem;" /> ${ghostBtns(c.ghost)}`
+          : `${escapeHtml(c.name)} <span class="small">(pending)</span>`}</th>`
+      : `<th>${escapeHtml(c.name)} <button class="gm-del-crit" data-crit="${attr(c.name)}" title="Remove criterion">×</button>
+           <div class="small">importance <input class="gp-imp" data-crit="${attr(c.name)}" type="number" min="0" step="0.5" value="${criterionImportance(grid, c.name)}" style="width:3.5rem;" /></div></th>`;
+    const cellInputs = (v, data) => `
+      <input class="gm-w" ${data} type="number" min="-100" max="100" step="5" value="${v?.weight ?? ''}" placeholder="wt" title="Weight (−100..+100)" style="width:4rem;" />
+      <input class="gm-c" ${data} type="number" min="0" max="1" step="0.1" value="${v?.conf ?? ''}" placeholder="conf" title="Confidence (0..1)" style="width:3.5rem;" />
+      <input class="gm-r" ${data} value="${attr(v?.rationale)}" placeholder="rationale" title="${attr(v?.quote ? `“${v.quote}”` : v?.rationale)}" style="width:100%;box-sizing:border-box;" />`;
+    const bodyCell = (r, c) => {
+      const data = `data-opt="${attr(r.name)}" data-crit="${attr(c.name)}"`;
+      const cell = grid.cells.get(kCell(r.name, c.name));
+      const p = pending.find(x=>x.type==='set_cell' && kCell(x.option,x.criterion)===kCell(r.name,c.name));
+      const ghost = p ? `<div class="gm-ghost" style="padding:4px;border-radius:6px;">${cellInputs(p, `data-pid="${p.id}"`)}<div>${ghostBtns(p)} <span class="small">${escapeHtml(p.source||'')}</span></div></div>` : '';
+      if(r.pendingOnly || c.pendingOnly) return `<td>${ghost}</td>`;
+      return `<td>${cellInputs(cell, data)}${ghost}</td>`;
+    };
+
+    const matrix = (rows.length || cols.length) ? `
+      <table class="gm">
+        <thead><tr><th>Option / Criterion</th>${cols.map(headCell).join('')}</tr></thead>
+        <tbody>${rows.map(r=>`
+          <tr><th class="${r.pendingOnly?'gm-ghost':''}">${r.pendingOnly
+            ? (r.ghost ? `<input class="gp-name" data-pid="${r.ghost.id}" value="${attr(r.name)}" style="width:8rem;" /> ${ghostBtns(r.ghost)}` : `${escapeHtml(r.name)} <span class="small">(pending)</span>`)
+            : `${escapeHtml(r.name)} <button class="gm-del-opt" data-opt="${attr(r.name)}" title="Remove option">×</button>`}</th>
+            ${cols.map(c=>bodyCell(r,c)).join('')}</tr>`).join('')}
+        </tbody>
+      </table>` : '<div class="small" style="color:#666;">No options or criteria yet.</div>';
+
+    const addRow = `
+      <div class="row" style="margin:6px 0;">
+        <input id="gm-new-opt" placeholder="New option" /> <button class="gm-add-opt">Add option</button>
+        <input id="gm-new-crit" placeholder="New criterion" /> <button class="gm-add-crit">Add criterion</button>
+      </div>`;
+
+    const log = pending.map(p=>{
       let desc = '';
       if(p.type==='add_option') desc = `Add option: <b>${escapeHtml(p.option)}</b>`;
       else if(p.type==='add_criterion') desc = `Add criterion: <b>${escapeHtml(p.criterion)}</b>`;
       else if(p.type==='set_cell') desc = `Set <b>${escapeHtml(p.option)}</b> × <b>${escapeHtml(p.criterion)}</b> → weight ${p.weight} (conf ${Math.round((p.conf||0)*100)}%)`;
       return `
-        <div class="gp-row" data-id="${p.id}" style="border:1px solid #eee;border-radius:8px;padding:8px;margin:6px 0;">
-          <div class="small" style="color:#888;margin-bottom:2px;">${new Date(p.ts).toLocaleTimeString()} • ${p.source}</div>
-          <div>${desc}${p.rationale ? ` — <i>${escapeHtml(p.rationale)}</i>` : ''}</div>
-          <div style="margin-top:6px;">
-            <button class="gp-accept">Accept</button>
-            <button class="gp-edit">Edit</button>
-            <button class="gp-discard">Discard</button>
-          </div>
+        <div class="gp-row" style="border:1px solid #eee;border-radius:8px;padding:6px 8px;margin:4px 0;">
+          <span class="small" style="color:#888;">${new Date(p.ts).toLocaleTimeString()} • ${escapeHtml(p.source||'')}</span>
+          ${desc}${p.rationale ? ` — <i>${escapeHtml(p.rationale)}</i>` : ''}${p.quote ? ` <span class="small">“${escapeHtml(p.quote)}”</span>` : ''} ${ghostBtns(p)}
         </div>`;
     }).join('') || '<div class="small" style="color:#666;">No proposals yet.</div>';
 
     const summary = `
       <div class="small" style="color:#666;margin-bottom:6px;">
-        Structure: ${gridMDRef.current.options.size} option(s), ${gridMDRef.current.criteria.size} criterion/criteria, ${gridMDRef.current.cells.size} cell(s)
+        Structure: ${grid.options.size} option(s), ${grid.criteria.size} criterion/criteria, ${grid.cells.size} cell(s)
+        ${pending.length ? ` • ${pending.length} pending proposal(s)` : ''}
       </div>`;
 
-    el.innerHTML = summary + rows;
+    el.innerHTML = summary + matrix + addRow + renderScorePanel() + `<div class="small" style="color:#666;margin-top:6px;">Proposal log</div>` + log;
+
+    el.onchange = (e)=>{
+      const t = e.target;
+      if(t.classList.contains('gp-imp')){
+        grid.weights.set(gridKey(t.dataset.crit), Math.max(0, parseFloat(t.value)||0));
+      }else if(t.classList.contains('gp-name')){
+        const p = pending.find(x=>x.id===t.dataset.pid); if(!p) return;
+        const v = t.value.trim(); if(!v) return;
+        if(p.type==='add_option') p.option = v; else p.criterion = v;
+      }else if(t.matches('.gm-w,.gm-c,.gm-r')){
+        const field = t.classList.contains('gm-w') ? 'weight' : t.classList.contains('gm-c') ? 'conf' : 'rationale';
+        const value = field==='rationale' ? t.value.trim()
+          : field==='weight' ? Math.max(-100, Math.min(100, parseFloat(t.value)||0))
+          : Math.max(0, Math.min(1, parseFloat(t.value)||0));
+        if(t.dataset.pid){
+          const p = pending.find(x=>x.id===t.dataset.pid); if(p) p[field] = value;
+        }else if(field==='weight' && t.value.trim()===''){
+          grid.cells.delete(kCell(t.dataset.opt, t.dataset.crit));
+        }else{
+          setCell(t.dataset.opt, t.dataset.crit, { [field]: value });
+        }
+      }else return;
+      renderGridPanel();
+    };
 
-    // event delegation
     el.onclick = (e)=>{
-      const row = e.target.closest('.gp-row'); if(!row) return;
-      const id  = row.dataset.id;
-      const p   = proposalsRef.current.find(x=>x.id===id);
-      if(!p) return;
-
-      if(e.target.classList.contains('gp-accept')) acceptProposal(p.id);
-      if(e.target.classList.contains('gp-edit'))   editProposal(p.id);
-      if(e.target.classList.contains('gp-discard')) discardProposal(p.id);
+      const t = e.target.closest('button'); if(!t) return;
+      if(t.classList.contains('gp-accept')) acceptProposal(t.dataset.pid);
+      else if(t.classList.contains('gp-discard')) discardProposal(t.dataset.pid);
+      else if(t.classList.contains('gm-del-opt')) removeOption(t.dataset.opt);
+      else if(t.classList.contains('gm-del-crit')) removeCriterion(t.dataset.crit);
+      else if(t.classList.contains('gm-add-opt')) addOption(/** @type {HTMLInputElement} */(document.getElementById('gm-new-opt'))?.value);
+      else if(t.classList.contains('gm-add-crit')) addCriterion(/** @type {HTMLInputElement} */(document.getElementById('gm-new-crit'))?.value);
     };
   }
 
-  function showDefinitionGateUI(draftText) {
+  function setCell(opt, crit, patch){
+    const grid = gridMDRef.current;
+    const key = kCell(opt, crit);
+    const cur = grid.cells.get(key) || { option:opt, criterion:crit, weight:0, conf:0.6, rationale:'' };
+    grid.cells.set(key, { ...cur, ...patch });
+  }
+
+  function addOption(name){
+    if(!gridEntry(gridMDRef.current.options, name)) return;
+    renderGridPanel();
+  }
+  function addCriterion(name){
+    if(!gridEntry(gridMDRef.current.criteria, name)) return;
+    renderGridPanel();
+  }
+  function removeOption(name){
+    const grid = gridMDRef.current;
+    grid.options.delete(name);
+    for(const key of Array.from(grid.cells.keys())) if(key.startsWith(`${gridKey(name)}|`)) grid.cells.delete(key);
+    renderGridPanel();
+  }
+  function removeCriterion(name){
+    const grid = gridMDRef.current;
+    grid.criteria.delete(name);
+    grid.weights.delete(gridKey(name));
+    for(const key of Array.from(grid.cells.keys())) if(key.endsWith(`|${gridKey(name)}`)) grid.cells.delete(key);
+    renderGridPanel();
+  }
+
+  function renderScorePanel(){
+    const grid = gridMDRef.current;
+    if(!grid.options.size || !grid.criteria.size) return '';
+    const result = scoreGrid(grid);
+    const fmt = n => (Math.round(n*10)/10).toString();
+    const ranks = result.ranking.map((r,i)=>`<li><b>${escapeHtml(r.option)}</b> — ${fmt(r.score)} <span class="small" style="color:#888;">(${Math.round(r.coverage*100)}% rated)</span>${i===0?' 🏆':''}</li>`).join('');
+    const sens = result.ranking.length<2 ? '' : (result.sensitivity.length
+      ? `<ul class="small" style="margin:4px 0;">${result.sensitivity.slice(0,5).map(s=>`<li>${escapeHtml(s.challenger)} overtakes if <b>${escapeHtml(s.criterion)}</b> importance ${s.direction==='increase'?'&gt;':'&lt;'} ${fmt(s.to)} (now ${fmt(s.from)})</li>`).join('')}</ul>`
+      : '<div class="small" style="color:#666;">No single importance change flips the top choice.</div>');
+    return `
+      <div class="gp-score" style="border:1px solid #e5e5e5;border-radius:8px;padding:8px;margin:8px 0;">
+        <div class="small" style="color:#666;">Ranking</div>
+        <ol style="margin:4px 0 4px 1.2rem;padding:0;">${ranks}</ol>
+        ${sens}
+      </div>`;
+  }
+
+  // Structured definition form (fields from GET /schema); Accept is blocked until required fields are filled.
+  function showDefinitionGateUI(draft) {
     let wrap = document.getElementById('defgate');
     if (!wrap) {
       wrap = document.createElement('div');
       wrap.id = 'defgate';
       document.body.appendChild(wrap);
     }
+    const def = typeof draft === 'string' ? { title: draft } : (draft || {});
+    const required = new Set(DEFINITION_SCHEMA.required || []);
+    const rows = Object.entries(DEFINITION_SCHEMA.properties).map(([k, spec]) => {
+      const v = Array.isArray(def[k]) ? def[k].join(', ') : (def[k] || '');
+      const hint = spec.type === 'array' ? `${spec.description || ''} (comma-separated)` : (spec.description || '');
+      return `
+        <label style="display:block;margin:6px 0 2px;font-weight:600">${escapeHtml(fieldLabel(k))}${required.has(k) ? ' <span style="color:#c00">*</span>' : ''}</label>
+        <input data-def="${escapeHtml(k)}" value="${escapeHtml(v)}" placeholder="${escapeHtml(hint)}" style="width:100%;box-sizing:border-box;border:1px solid #ddd;border-radius:6px;padding:6px;font:14px system-ui" />
+        <div class="defgate-err" data-for="${escapeHtml(k)}" style="color:#c00;font-size:12px"></div>`;
+    }).join('');
     wrap.innerHTML = `
       <div style="position:fixed;inset:0;background:rgba(0,0,0,.55);display:flex;align-items:center;justify-content:center;z-index:9999">
         <div style="background:#fff;color:#222;max-width:520px;width:90%;border-radius:8px;padding:14px;box-shadow:0 12px 30px rgba(0,0,0,.25)">
@@ -216,28 +741,47 @@ export default function App(){
             <button id="defgate-close" style="border:0;background:none;font-size:20px;cursor:pointer">×</button>
           </div>
           <p style="margin:8px 0 6px">Review or edit the decision definition, then accept:</p>
-          <textarea id="defgate-text" style="width:100%;min-height:160px;border:1px solid #ddd;border-radius:6px;padding:8px;font:14px/1.4 system-ui">${(draftText||'').replaceAll('<','&lt;')}</textarea>
-          <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
-            <button id="defgate-accept" style="background:#0b57d0;color:#fff;border:0;border-radius:6px;padding:6px 12px;font-weight:600;cursor:pointer">Accept</button>
-          </div>
+          <form id="defgate-form">${rows}
+            <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
+              <button id="defgate-accept" type="submit" style="background:#0b57d0;color:#fff;border:0;border-radius:6px;padding:6px 12px;font-weight:600;cursor:pointer">Accept</button>
+            </div>
+          </form>
         </div>
       </div>
     `;
     document.getElementById('defgate-close').onclick = () => { wrap.remove(); };
-    document.getElementById('defgate-accept').onclick = () => {
-      try {
-        const txt = /** @type {HTMLTextAreaElement} */(document.getElementById('defgate-text')).value.trim();
-        defPackRef.current = txt.startsWith('{') ? JSON.parse(txt) : txt; // allow plain text or JSON
-        consentRef.current = true;
-        gateOpenRef.current = false;
-        wrap.remove();
-        console.log('[defgate] accepted pack:', defPackRef.current);
-      } catch {
-        alert('Invalid JSON. Paste plain text or valid JSON object.');
-      }
+    /** @type {HTMLFormElement} */(document.getElementById('defgate-form')).onsubmit = (e) => {
+      e.preventDefault();
+      const raw = {};
+      wrap.querySelectorAll('input[data-def]').forEach(el => { raw[/** @type {HTMLInputElement} */(el).dataset.def] = /** @type {HTMLInputElement} */(el).value; });
+      const pack = normalizeDefinition(raw);
+      const missing = new Set(definitionMissing(pack));
+      wrap.querySelectorAll('.defgate-err').forEach(el => { el.textContent = missing.has(/** @type {HTMLElement} */(el).dataset.for) ? 'Required.' : ''; });
+      if (missing.size) return;
+      acceptDefinition(pack, 'form');
+      wrap.remove();
     };
   }
 
+  // Closes the Definition Gate with a complete pack (from the form or the greeter tool).
+  function acceptDefinition(pack, via){
+    defPackRef.current = pack;
+    consentRef.current = true;
+    gateOpenRef.current = false;
+    renderDefinitionSummary();
+    log('[defgate] accepted pack via', via, pack);
+  }
+
+  function renderDefinitionSummary(){
+    const el = document.getElementById('def-summary'); if (!el) return;
+    const def = defPackRef.current;
+    if (!def) { el.textContent = 'Not defined yet.'; return; }
+    if (typeof def === 'string') { el.textContent = def; return; }
+    const missing = definitionMissing(def);
+    el.textContent = [def.title || '(untitled)', def.time_window, missing.length && gateOpenRef.current ? `still needs ${missing.map(fieldLabel).join(', ').toLowerCase()}` : '']
+      .filter(Boolean).join(' • ');
+  }
+
   function acceptProposal(id){
     const idx = proposalsRef.current.findIndex(p=>p.id===id);
     if(idx<0) return;
@@ -245,49 +789,190 @@ export default function App(){
     const grid = gridMDRef.current;
 
     if(p.type==='add_option'){
-      grid.options.add(p.option);
-      const opt = (p.option||'').trim();
-      if(opt && !stateRef.current.options?.some?.(s => s.trim().toLowerCase()===opt.toLowerCase())){
-        stateRef.current.options = stateRef.current.options || [];
-        stateRef.current.options.push(opt);
-        renderViz(document.getElementById('viz'), stateRef.current);
-      }
+      const opt = gridEntry(grid.options, p.option);
+      const bucket=optionsBucket();
+      if(opt && bucket) applyStatePatch({ add:{ [bucket]:[opt] } }, 'proposal');
     }else if(p.type==='add_criterion'){
-      grid.criteria.add(p.criterion);
+      gridEntry(grid.criteria, p.criterion);
     }else if(p.type==='set_cell'){
-      if(p.option) grid.options.add(p.option);
-      if(p.criterion) grid.criteria.add(p.criterion);
-      grid.cells.set(kCell(p.option,p.criterion), { weight: p.weight|0, conf: Math.max(0,Math.min(1,p.conf||0)), rationale: p.rationale||'' });
+      const option = gridEntry(grid.options, p.option), criterion = gridEntry(grid.criteria, p.criterion);
+      grid.cells.set(kCell(option,criterion), { option, criterion, weight: p.weight|0, conf: Math.max(0,Math.min(1,p.conf||0)), rationale: p.rationale||'', ...(p.quote ? { quote: p.quote } : {}) });
     }
 
     proposalsRef.current.splice(idx,1);
     renderGridPanel();
   }
 
-  function editProposal(id){
-    const p = proposalsRef.current.find(x=>x.id===id); if(!p) return;
-    if(p.type==='set_cell'){
-      const w = prompt('Weight (−100..+100):', String(p.weight ?? 0));
-      if(w==null) return;
-      const c = prompt('Confidence (0..1):', String(p.conf ?? 0.6));
-      if(c==null) return;
-      const r = prompt('Rationale:', p.rationale || '');
-      p.weight = Math.max(-100, Math.min(100, parseFloat(w)||0));
-      p.conf   = Math.max(0, Math.min(1, parseFloat(c)||0));
-      p.rationale = (r||'').trim();
-    }else if(p.type==='add_option'){
-      const v = prompt('Option name:', p.option||''); if(v==null) return; p.option=(v||'').trim();
-    }else if(p.type==='add_criterion'){
-      const v = prompt('Criterion name:', p.criterion||''); if(v==null) return; p.criterion=(v||'').trim();
-    }
-    renderGridPanel();
-  }
-
   function discardProposal(id){
     const i = proposalsRef.current.findIndex(x=>x.id===id);
     if(i>=0){ proposalsRef.current.splice(i,1); renderGridPanel(); }
   }
 
+  // ---- Saved sessions (server JSON store) ----
+  const sessionIdRef = useRef(null);   // id of the last save / resume
+  const resumedRef   = useRef(false);  // skip the definition greeter on next connect
+
+  function serializeGrid(grid){
+    return {
+      options: Array.from(grid.options),
+      criteria: Array.from(grid.criteria),
+      cells: Array.from(grid.cells, ([key, v]) => ({ key, ...v })),
+      weights: Object.fromEntries(grid.weights || [])
+    };
+  }
+  function restoreGrid(data){
+    return {
+      options: new Set(Array.isArray(data?.options) ? data.options : []),
+      criteria: new Set(Array.isArray(data?.criteria) ? data.criteria : []),
+      cells: new Map((Array.isArray(data?.cells) ? data.cells : []).filter(c=>c?.key).map(({ key, ...v }) => [key, v])),
+      weights: new Map(Object.entries(data?.weights || {}).filter(([,v])=>Number.isFinite(Number(v))).map(([k,v])=>[k, Number(v)]))
+    };
+  }
+
+  function snapshotSession(note){
+    return {
+      id: sessionIdRef.current,
+      note: note || '',
+      transcript: transcriptRef.current.map(({id,role,text,ts})=>({id,role,text,ts})),
+      provenance: Array.from(itemMetaRef.current.values()),
+      tombstones: Array.from(tombstonesRef.current),
+      summary: summaryRef.current,
+      state: stateRef.current,
+      details: itemDetails(),
+      grid: serializeGrid(gridMDRef.current),
+      proposals: proposalsRef.current,
+      definition: defPackRef.current
+    };
+  }
+
+  async function persistSession(note){
+    const res = await postJSON('/sessions', snapshotSession(note));
+    sessionIdRef.current = res.session_id;
+    log('[session] saved', res.session_id);
+    refreshSessionList().catch(()=>{});
+    return res.session_id;
+  }
+
+  function setSessionStatus(text){
+    const el = document.getElementById('session-status');
+    if (el) el.textContent = text || '';
+  }
+
+  async function refreshSessionList(){
+    const sel = /** @type {HTMLSelectElement} */(document.getElementById('session-list'));
+    if (!sel) return;
+    const res = await fetch('/sessions');
+    if (!res.ok) throw new Error(`/sessions ${res.status}`);
+    const { sessions=[] } = await res.json();
+    sel.innerHTML = sessions.map(s=>{
+      const label = `${new Date(s.updated_at).toLocaleString()} — ${s.note || s.summary.slice(0,60) || s.id} (${s.turns} turns)`;
+      return `<option value="${escapeHtml(s.id)}"${s.id===sessionIdRef.current?' selected':''}>${escapeHtml(label)}</option>`;
+    }).join('') || '<option value="">(no saved sessions)</option>';
+    const btn = document.getElementById('session-resume');
+    if (btn) btn.disabled = !sessions.length;
+  }
+
+  // ---- Perspective Visualizer hand-off (exchange bundle) ----
+  // Saves first so the server builds the bundle from the current session.
+  // With PV_URL set on the server the bundle is POSTed there; otherwise (or if that times out) it downloads.
+  async function openInVisualizer(){
+    const id = await persistSession('');   // empty note keeps the name the user gave the session
+    const out = await postJSON(`/sessions/${encodeURIComponent(id)}/pv`, {});
+    if (out?.sent) {
+      if (out.url) window.open(out.url, '_blank', 'noopener');
+      return `Sent to visualizer${out.url ? '' : ` (HTTP ${out.status})`}`;
+    }
+    const res = await fetch(`/sessions/${encodeURIComponent(id)}/pv.json`);
+    if (!res.ok) throw new Error(`pv.json ${res.status}`);
+    const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition')||'')?.[1] || `pv-${id}.json`;
+    downloadText(name, await res.text(), 'application/json');
+    return `Downloaded ${name}${out?.error ? ` (${out.error})` : ''}`;
+  }
+
+  async function importPvBundle(text){
+    let bundle;
+    try { bundle = JSON.parse(text); } catch { throw new Error('not a JSON file'); }
+    const res = await fetch('/sessions/import', { method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify(bundle) });
+    if (!res.ok) throw new Error(await res.text() || `import ${res.status}`);
+    const { session_id } = await res.json();
+    await resumeSavedSession(session_id);
+    refreshSessionList().catch(()=>{});
+    return session_id;
+  }
+
+  // ---- End-of-session report (/report) ----
+  async function downloadReport(format, includeTranscript){
+    const res=await fetch(`/report?format=${encodeURIComponent(format)}`,{
+      method:'POST', headers:{ 'Content-Type':'application/json' },
+      body:JSON.stringify({ ...snapshotSession(), include_transcript:!!includeTranscript })
+    });
+    if(!res.ok) throw new Error(`/report ${res.status}`);
+    const name=/filename="([^"]+)"/.exec(res.headers.get('Content-Disposition')||'')?.[1] || `session-report.${format}`;
+    downloadText(name, await res.text(), res.headers.get('Content-Type')||'text/plain');
+    return name;
+  }
+
+  // ---- Task export (/tasks): items of "tasks" buckets as VTODO / CSV / JSON ----
+  async function downloadTasks(format){
+    const res=await fetch(`/tasks?format=${encodeURIComponent(format)}`,{
+      method:'POST', headers:{ 'Content-Type':'application/json' },
+      body:JSON.stringify({ state:stateRef.current, details:itemDetails() })
+    });
+    if(!res.ok) throw new Error(`/tasks ${res.status}`);
+    const name=/filename="([^"]+)"/.exec(res.headers.get('Content-Disposition')||'')?.[1] || `session-tasks.${format}`;
+    downloadText(name, await res.text(), res.headers.get('Content-Type')||'text/plain');
+    return name;
+  }
+
+  async function resumeSavedSession(id){
+    if(!id) return;
+    const res = await fetch(`/sessions/${encodeURIComponent(id)}/resume`, { method:'POST' });
+    if(!res.ok) throw new Error(`resume ${res.status}`);
+    const s = await res.json();
+
+    sessionIdRef.current = s.id;
+    transcriptRef.current = (s.transcript||[]).map(({id,role,text,ts})=>({ id: id||genId('t'), role, text, ts: ts||Date.now() }));
+    lastUserTextRef.current = [...transcriptRef.current].reverse().find(t=>t.role==='user')?.text || '';
+    analyzedUpToRef.current = transcriptRef.current.length;   // saved summary/state already cover it
+    renderChat();
+    summaryRef.current = s.summary || '';
+    setSummary(s.summary || '');
+
+    const st = emptyState();
+    for (const k of Object.keys(st)) if (Array.isArray(s.state?.[k])) st[k] = s.state[k].filter(v=>typeof v==='string');
+    stateRef.current = st;
+    idMapRef.current = new Map();
+    itemMetaRef.current = new Map();
+    mergesRef.current = [];
+    renderMerges();
+    tombstonesRef.current = new Set((Array.isArray(s.tombstones) ? s.tombstones : []).filter(k=>typeof k==='string'));
+    for (const m of Array.isArray(s.provenance) ? s.provenance : []) {
+      if (!m?.id || !st[m.bucket] || !hasCi(st[m.bucket], m.text)) continue;
+      idMapRef.current.set(`${m.bucket}:${String(m.text).trim().toLowerCase()}`, m.id);
+      itemMetaRef.current.set(m.id, { ...m, turns: Array.isArray(m.turns) ? m.turns : [] });
+    }
+    applyDetails(s.details, 'resume');   // imported bundles carry fields without provenance
+    resetHistory();
+
+    gridMDRef.current = restoreGrid(s.grid);
+    proposalsRef.current = (Array.isArray(s.proposals) ? s.proposals : [])
+      .filter(p=>p && ['add_option','add_criterion','set_cell'].includes(p.type))
+      .map(p=>({ ...p, id: p.id || genId('gp'), ts: p.ts || Date.now() }));
+
+    defPackRef.current = s.definition ?? null;
+    if (defPackRef.current) {
+      consentRef.current = true;
+      gateOpenRef.current = false;
+    }
+    resumedRef.current = true;
+
+    renderDefinitionSummary();
+    renderStateViz();
+    renderGridPanel();
+    log('[session] resumed', s.id);
+    return s;
+  }
+
   const voiceTextBufRef=useRef('');
   const assistantSpeakingRef=useRef(false);
 
@@ -296,6 +981,10 @@ export default function App(){
   const srRef=useRef(null);
   const pttActiveRef=useRef(false);
   const pttBufferRef=useRef('');
+  const pttKeyRef=useRef('Space');          // KeyboardEvent.code of the push-to-talk key
+  const pttKeyCaptureRef=useRef(false);     // next keydown picks a new PTT key
+  const handsFreeRef=useRef(false);         // server VAD ends turns; mic stays attached
+  const vadRef=useRef({ threshold:0.6, silence_ms:700 });
 
   // response gating
   const respPendingRef=useRef(false);
@@ -313,6 +1002,7 @@ export default function App(){
 
   // tool buffers
   const toolBufRef = useRef(new Map()); // id -> { name, args: '' }
+  const toolReplyAllowedRef = useRef(false); // next response.created answers a tool the user asked for
 
   // track last user text robustly (server transcript OR local SR)
   const lastUserTextRef = useRef('');
@@ -363,17 +1053,44 @@ export default function App(){
     if (hint) hint.style.opacity = enabled ? 0.85 : 0.5;
   }
 
-  function queueVoiceReply(kind='follow_up'){
-    if (gateOpenRef.current) return;
-    if (respPendingRef.current || currentResponseIdRef.current) return;
-    const ctx = [
+  // High-impact risks nobody has said how to handle, most likely first.
+  function unmitigatedRisks(){
+    const out=[];
+    for(const b of STATE_BUCKETS.filter(x=>x.kind==='risks')){
+      const L=b.fields?.find(f=>f.name==='likelihood'), I=b.fields?.find(f=>f.name==='impact');
+      if(!I?.values?.length) continue;
+      const top=I.values[I.values.length-1];
+      for(const text of stateRef.current[b.key]||[]){
+        const v=metaOf(b.key, text)?.fields||{};
+        if(v.impact===top && !v.mitigation) out.push({ text, rank:L?.values?.indexOf(v.likelihood) ?? -1 });
+      }
+    }
+    return out.sort((a,b)=>b.rank-a.rank).map(r=>r.text);
+  }
+
+  // Instructions for the coach's next follow-up (queued behind the confirm gate or sent directly).
+  function followUpInstructions(){
+    const details=Object.fromEntries(Object.entries(itemDetails())
+      .map(([k,recs])=>[k, recs.filter(r=>Object.keys(r).length>1)]).filter(([,recs])=>recs.length));
+    const risks=unmitigatedRisks();
+    const open=openQuestions();
+    return [
+      ...(defPackRef.current ? ['Decision definition JSON (stay within it):', JSON.stringify(defPackRef.current)] : []),
       'Context Summary:', summaryRef.current,
       'Context State JSON:', JSON.stringify(stateRef.current),
+      ...(Object.keys(details).length ? ['Context Item Fields JSON:', JSON.stringify(details)] : []),
+      ...(risks.length ? [`Priority: these high-impact risks have no mitigation yet: ${risks.slice(0,3).map(r=>JSON.stringify(r)).join(', ')}. Unless the user just raised something more urgent, ask how they would prevent or handle the first one, and record the answer as its mitigation via update_state.`] : []),
+      ...(open.length ? [`Open questions (${open.length}): ${open.slice(0,5).map(q=>JSON.stringify(q)).join(', ')}.${risks.length ? ' Otherwise, pick' : ' Pick'} the follow-up that helps answer the most important open question; when one is answered, mark it answered via update_state.`] : []),
       'Use vocal prosody from the most recent user audio to infer tone.',
       'If a change is needed, CALL update_state(add/remove).',
       'Reply in English with one concise, targeted follow-up.'
     ].join('\n');
-    pendingSpeakRef.current = { kind, instructions: ctx };
+  }
+
+  function queueVoiceReply(kind='follow_up'){
+    if (gateOpenRef.current) return;
+    if (respPendingRef.current || currentResponseIdRef.current) return;
+    pendingSpeakRef.current = { kind, instructions: followUpInstructions() };
     speakGateRef.current = true;
     setConfirmUI(true, '✅ Confirm & Speak');
   }
@@ -390,10 +1107,10 @@ export default function App(){
     speakGateRef.current = false;
     setConfirmUI(false, '✅ Confirm & Speak');
   
-    // IMPORTANT: Realtime requires ['audio','text'] for speech
+    // IMPORTANT: Realtime requires ['audio','text'] for speech; ['text'] in text-only reply mode
     safeSend({
       type:'response.create',
-      response:{ modalities:['audio','text'], instructions }
+      response:{ modalities:replyModalities(), instructions }
     });
   }
   
@@ -409,6 +1126,7 @@ export default function App(){
   function safeSend(obj){
     const dc=connRef.current?.dc;
     const payload=JSON.stringify(obj);
+    traceEvent('out', obj, (!dc || dc.readyState!=='open') ? { queued:true } : null);
     if(!dc || dc.readyState!=='open'){ outboxRef.current.push(payload); log('[dc queue]', obj.type); return false; }
     try{ dc.send(payload); log('[dc->]', obj.type, obj.response?.metadata?.kind||''); return true; }
     catch{ outboxRef.current.push(payload); log('[dc queue after send fail]', obj.type); return false; }
@@ -422,24 +1140,39 @@ export default function App(){
   }
 
   // --- local nudge for viz (only used on PTT release) ---
+  // The raw phrases go into the schema's kind "notes" bucket; schemas without one skip the nudge.
   function localAddOnlyFromUser(text){
     if(!text||text.trim().length<3) return null;
+    const notes=STATE_BUCKETS.find(b=>b.kind==='notes'); if(!notes) return null;
     const parts=text.split(/[,;]|(?:\s+\band\b\s+)|(?:\s+\bor\b\s+)|(?:\s+\bthen\b\s+)/i)
       .map(s=>s.trim()).filter(s=>s&&s.length>2).slice(0,12);
     if(!parts.length) return null;
-    return { add:{ facts:parts } };
+    return { add:{ [notes.key]:parts } };
   }
 
   function hasCi(arr,text){ const t=(text||'').trim().toLowerCase(); for(const s of arr) if((s||'').trim().toLowerCase()===t) return true; return false; }
-  function applyStatePatch(patch){
+  // source: 'tool' | 'extractor' | 'ptt' | 'proposal' | 'manual' — recorded in the change history
+  // and as each added item's provenance (via: the endpoint behind an extractor patch).
+  // patch.details ({ bucket: [{ text, ...fields }] }) sets fields of record items, see applyDetails.
+  // Manual edits win: automated patches never remove pinned/manual items nor re-add deleted ones.
+  function applyStatePatch(patch, source='tool', { via=null, noMerge=false }={}){
     if (gateOpenRef.current) return { added: [], removed: [] }; // block until defined
     const dst=stateRef.current; const added=[]; const removed=[];
+    const manual=source==='manual';
     if(patch?.add){
       for(const bucket of Object.keys(patch.add)){ const arr=patch.add[bucket]||[]; dst[bucket]=dst[bucket]||[];
         for(const raw of arr){ const text=(raw||'').trim(); if(!text) continue; if(hasCi(dst[bucket],text)) continue;
+          if(!manual && tombstonesRef.current.has(`${bucket}:${text.toLowerCase()}`)) continue;
+          if(!manual && !noMerge){
+            const twin=nearDuplicate(dst[bucket], text);
+            if(twin && metaOf(bucket, twin)?.aliases?.some(a=>a.toLowerCase()===text.toLowerCase())) continue;   // merged before
+            if(twin && !isTaskBucket(bucket)){ mergeInto(bucket, twin, text, source, via); continue; }
+            if(twin) suggestMerge(bucket, twin, text, source);   // tasks: add it, but offer the merge
+          }
           const key=`${bucket}:${text.toLowerCase()}`; let id=idMapRef.current.get(key);
           if(!id){ id=genId(bucket[0]||'i'); idMapRef.current.set(key,id); }
           dst[bucket].push(text); added.push({bucket,id,text});
+          noteProvenance(id, bucket, text, source, via);
         }
       }
     }
@@ -447,33 +1180,428 @@ export default function App(){
       for(const bucket of Object.keys(patch.remove)){ const arr=patch.remove[bucket]||[]; dst[bucket]=dst[bucket]||[];
         for(const raw of arr){ const text=(raw||'').trim(); if(!text) continue;
           const key=`${bucket}:${text.toLowerCase()}`; const id=idMapRef.current.get(key)||genId(bucket[0]||'i');
-          const before=dst[bucket].length;
+          const index=dst[bucket].findIndex(s=>(s||'').trim().toLowerCase()===text.toLowerCase());
+          if(index<0) continue;
+          if(!manual && isProtected(bucket, text)){ log('[viz] kept protected item', bucket, text); continue; }
+          removed.push({bucket,id,text:dst[bucket][index],index});
           dst[bucket]=dst[bucket].filter(s=>(s||'').trim().toLowerCase()!==text.toLowerCase());
-          if(dst[bucket].length!==before) removed.push({bucket,id,text});
         }
       }
     }
-    renderViz(document.getElementById('viz'), dst);
-    if(added.length||removed.length) log('[viz] patch', {added,removed});
+    const answered=patch?.details ? applyDetails(patch.details, source) : [];
+    renderStateViz();
+    if(added.length||removed.length){
+      log('[viz] patch', {added,removed});
+      recordHistory(source, added, removed);
+    }
+    if(answered.length) settleAnswered(answered, source);
     return {added,removed};
   }
 
+  // ---- Provenance: which turns / mechanism produced each state item ----
+  const itemMetaRef=useRef(new Map());   // item id -> { id, bucket, text, source, via, turns:[turn ids], ts }
+
+  function pushTurn(role, text){
+    const turn={ id: genId('t'), role, text, ts: Date.now() };
+    transcriptRef.current.push(turn);
+    renderChat();
+    return turn;
+  }
+
+  // User turns that share the most content words with the item; the latest user turn otherwise.
+  // A PTT nudge is split from the turn just spoken, so that turn is the source.
+  function supportingTurns(text, source){
+    const users=transcriptRef.current.filter(t=>t.role==='user');
+    const latest=users[users.length-1];
+    if(source==='ptt') return latest?.id ? [latest.id] : [];
+    const want=new Set(tokens(text));
+    const scored=users.map(t=>({ id:t.id, n:tokens(t.text).filter(w=>want.has(w)).length })).filter(x=>x.id && x.n>0);
+    if(!scored.length) return latest?.id ? [latest.id] : [];
+    const best=Math.max(...scored.map(x=>x.n));
+    return scored.filter(x=>x.n===best).slice(-3).map(x=>x.id);
+  }
+
+  function noteProvenance(id, bucket, text, source, via){
+    if(itemMetaRef.current.has(id)) return;   // keep where it first came from
+    itemMetaRef.current.set(id, { id, bucket, text, source, via, turns: supportingTurns(text, source), ts: Date.now() });
+  }
+
+  const PROVENANCE_LABELS={ tool:'update_state tool', extractor:'extractor', ptt:'localAddOnlyFromUser (PTT nudge)', proposal:'accepted grid proposal', manual:'manual edit', unknown:'unknown source' };
+  function showProvenance(bucket, text){
+    const el=document.getElementById('provenance'); if(!el) return;
+    const id=idMapRef.current.get(`${bucket}:${(text||'').trim().toLowerCase()}`);
+    const meta=id && itemMetaRef.current.get(id);
+    if(!meta){ el.innerHTML=`<b>${escapeHtml(text)}</b> — no provenance recorded for this item.`; return; }
+    const byId=new Map(transcriptRef.current.map((t,i)=>[t.id, { ...t, n:i+1 }]));
+    const quotes=meta.turns.map(tid=>byId.get(tid)).filter(Boolean).map(t=>
+      `<blockquote style="margin:4px 0 4px 8px;padding-left:8px;border-left:3px solid #ddd;">“${escapeHtml(t.text)}” <span style="color:#888;">— turn ${t.n} (${escapeHtml(t.id)}), ${new Date(t.ts).toLocaleTimeString()}</span></blockquote>`).join('');
+    el.innerHTML=`
+      <b>${escapeHtml(meta.text)}</b> <span style="color:#888;">(${escapeHtml(bucket)}, ${escapeHtml(meta.id)})</span><br/>
+      Added by ${escapeHtml(PROVENANCE_LABELS[meta.source]||meta.source)}${meta.via ? ` via ${escapeHtml(meta.via)}` : ''} at ${new Date(meta.ts).toLocaleTimeString()}${meta.edited_from ? ` (edited from “${escapeHtml(meta.edited_from)}”)` : ''}${meta.pinned ? ' • 📌 pinned' : ''}
+      ${meta.aliases?.length ? `<div>Merged paraphrases: ${meta.aliases.map(a=>`“${escapeHtml(a)}”`).join(', ')}${meta.merged_sources?.length ? ` (from ${escapeHtml(meta.merged_sources.join(', '))})` : ''}</div>` : ''}
+      ${quotes || '<div style="color:#888;">The supporting turn is no longer in the transcript.</div>'}`;
+  }
+
+  // ---- Near-duplicate merging (see similarity) ----
+  // Automated adds that paraphrase an existing item fold into it: the canonical
+  // item keeps its text and gains the alias, the alias's turns and source.
+  const mergesRef=useRef([]);   // [{ id, bucket, canonical, alias, score, source, ts, reviewed }]
+
+  function nearDuplicate(items, text){
+    let best=null, bestScore=0;
+    for(const cur of items){ const sc=similarity(cur, text); if(sc>bestScore){ best=cur; bestScore=sc; } }
+    return bestScore>=SIM_THRESHOLD ? best : null;
+  }
+
+  function mergeInto(bucket, canonical, alias, source, via){
+    const meta=ensureMeta(bucket, canonical);
+    meta.aliases=[...new Set([...(meta.aliases||[]), alias])];
+    meta.turns=[...new Set([...(meta.turns||[]), ...supportingTurns(alias, source)])];
+    meta.merged_sources=[...new Set([...(meta.merged_sources||[]), via ? `${source} ${via}` : source])];
+    if(!mergesRef.current.some(m=>m.bucket===bucket && m.alias.toLowerCase()===alias.toLowerCase())){
+      mergesRef.current.push({ id:genId('m'), bucket, canonical, alias, score:Math.round(similarity(canonical, alias)*100)/100, source, ts:Date.now(), reviewed:false });
+    }
+    log('[viz] merged', bucket, JSON.stringify(alias), '->', JSON.stringify(canonical));
+    renderMerges();
+  }
+
+  // Similar tasks are often distinct actions ("Call the landlord" / "Email the landlord"),
+  // so task buckets never merge on their own: both items stay and the merge is only suggested.
+  function isTaskBucket(bucket){ return STATE_BUCKETS.find(b=>b.key===bucket)?.kind==='tasks'; }
+  function suggestMerge(bucket, canonical, alias, source){
+    if(mergesRef.current.some(m=>m.bucket===bucket && m.alias.toLowerCase()===alias.toLowerCase())) return;
+    mergesRef.current.push({ id:genId('m'), bucket, canonical, alias, score:Math.round(similarity(canonical, alias)*100)/100, source, ts:Date.now(), reviewed:false, suggested:true });
+    log('[viz] merge suggested', bucket, JSON.stringify(alias), '~', JSON.stringify(canonical));
+    renderMerges();
+  }
+
+  function dropAlias(bucket, canonical, alias){
+    const meta=metaOf(bucket, canonical);
+    if(meta) meta.aliases=(meta.aliases||[]).filter(a=>a.toLowerCase()!==alias.toLowerCase());
+  }
+
+  // keep: accept the merge • split: add the alias as its own item • swap: use the alias wording
+  // Suggested merges: merge folds the alias item into the canonical one • keep leaves both.
+  function resolveMerge(mid, action){
+    const i=mergesRef.current.findIndex(m=>m.id===mid); if(i<0) return;
+    const m=mergesRef.current[i];
+    if(m.suggested){
+      if(action==='merge'){
+        applyStatePatch({ remove:{ [m.bucket]:[m.alias] } }, 'manual');
+        mergeInto(m.bucket, m.canonical, m.alias, m.source, null);
+        m.suggested=false;
+      }
+      m.reviewed=true;
+      renderMerges();
+      renderStateViz();
+      return;
+    }
+    if(action==='split'){
+      dropAlias(m.bucket, m.canonical, m.alias);
+      applyStatePatch({ add:{ [m.bucket]:[m.alias] } }, m.source, { noMerge:true });
+      mergesRef.current.splice(i,1);
+    }else if(action==='swap'){
+      const meta=metaOf(m.bucket, m.canonical);
+      manualEdit(m.bucket, m.canonical, m.alias);
+      const next=metaOf(m.bucket, m.alias);
+      if(next && meta) next.aliases=[...new Set([...(meta.aliases||[]).filter(a=>a.toLowerCase()!==m.alias.toLowerCase()), m.canonical])];
+      mergesRef.current.splice(i,1);
+    }else{
+      m.reviewed=true;
+    }
+    renderMerges();
+  }
+
+  function renderMerges(){
+    const el=document.getElementById('merges'); if(!el) return;
+    const open=mergesRef.current.filter(m=>!m.reviewed);
+    const head=document.getElementById('merges-count');
+    if(head) head.textContent=open.length ? ` (${open.length} to review)` : '';
+    el.innerHTML=open.map(m=>`
+      <div class="mg-row" data-mid="${m.id}" style="border:1px solid #eee;border-radius:8px;padding:6px 8px;margin:4px 0;">
+        <span class="small" style="color:#888;">${escapeHtml(m.bucket)} • ${escapeHtml(m.source)} • similarity ${m.score}</span><br/>
+        ${m.suggested ? `“${escapeHtml(m.alias)}” looks like <b>“${escapeHtml(m.canonical)}”</b>
+        <button class="mg-merge">Merge</button>
+        <button class="mg-keep">Keep separate</button>` : `“${escapeHtml(m.alias)}” merged into <b>“${escapeHtml(m.canonical)}”</b>
+        <button class="mg-keep">Keep merged</button>
+        <button class="mg-swap">Use this wording</button>
+        <button class="mg-split">Split</button>`}
+      </div>`).join('') || '<div class="small" style="color:#666;">No merges to review.</div>';
+    el.onclick=(e)=>{
+      const t=/** @type {HTMLElement} */(e.target);
+      const row=t.closest('.mg-row'); if(!row || t.tagName!=='BUTTON') return;
+      const action=['split','swap','merge'].find(a=>t.classList.contains(`mg-${a}`)) || 'keep';
+      resolveMerge(row.dataset.mid, action);
+    };
+  }
+
+  // ---- Manual curation: pins, inline edits, manual add/delete ----
+  const tombstonesRef=useRef(new Set());   // `${bucket}:${lowercase text}` deleted or renamed by the user
+
+  function metaOf(bucket, text){
+    const id=idMapRef.current.get(`${bucket}:${(text||'').trim().toLowerCase()}`);
+    return id ? itemMetaRef.current.get(id) : null;
+  }
+  // Items that predate provenance tracking (or were never patched in) get an 'unknown' entry.
+  function ensureMeta(bucket, text){
+    const key=`${bucket}:${text.trim().toLowerCase()}`;
+    let id=idMapRef.current.get(key);
+    if(!id){ id=genId(bucket[0]||'i'); idMapRef.current.set(key,id); }
+    if(!itemMetaRef.current.has(id)) itemMetaRef.current.set(id, { id, bucket, text, source:'unknown', via:null, turns:[], ts:Date.now() });
+    return itemMetaRef.current.get(id);
+  }
+  function isPinned(bucket, text){ return !!metaOf(bucket, text)?.pinned; }
+  function isProtected(bucket, text){ const m=metaOf(bucket, text); return !!(m?.pinned || m?.source==='manual'); }
+
+  function renderStateViz(){
+    renderViz(document.getElementById('viz'), stateRef.current, { isPinned, fieldsOf:(b,t)=>metaOf(b,t)?.fields, editable:true });
+  }
+
+  function togglePin(bucket, text){
+    const meta=ensureMeta(bucket, text);
+    meta.pinned=!meta.pinned;
+    log('[viz]', meta.pinned?'pinned':'unpinned', bucket, text);
+    renderStateViz();
+  }
+
+  function manualAdd(bucket, text){
+    const t=(text||'').trim(); if(!t) return;
+    tombstonesRef.current.delete(`${bucket}:${t.toLowerCase()}`);
+    applyStatePatch({ add:{ [bucket]:[t] } }, 'manual');
+  }
+
+  function manualDelete(bucket, text){
+    tombstonesRef.current.add(`${bucket}:${text.trim().toLowerCase()}`);
+    applyStatePatch({ remove:{ [bucket]:[text] } }, 'manual');
+  }
+
+  // Replace an item's text in place; the old wording is tombstoned so the extractor can't bring it back.
+  function manualEdit(bucket, oldText, newText){
+    const t=(newText||'').trim(); const arr=stateRef.current[bucket]||[];
+    if(!t || t===oldText) return;
+    const index=arr.findIndex(s=>(s||'').trim().toLowerCase()===oldText.trim().toLowerCase());
+    if(index<0) return;
+    const old=metaOf(bucket, oldText);
+    if(t.toLowerCase()===oldText.trim().toLowerCase()){   // case-only change: same item
+      arr[index]=t; if(old){ old.text=t; old.source='manual'; }
+      renderStateViz(); return;
+    }
+    if(hasCi(arr, t)){ manualDelete(bucket, oldText); return; }   // merged into an existing item
+    tombstonesRef.current.add(`${bucket}:${oldText.trim().toLowerCase()}`);
+    tombstonesRef.current.delete(`${bucket}:${t.toLowerCase()}`);
+    const { added }=applyStatePatch({ add:{ [bucket]:[t] }, remove:{ [bucket]:[oldText] } }, 'manual');
+    const cur=stateRef.current[bucket];
+    const at=cur.findIndex(s=>s===t);
+    if(at>=0 && at!==index){ cur.splice(at,1); cur.splice(Math.min(index,cur.length),0,t); }
+    const meta=added[0] && itemMetaRef.current.get(added[0].id);
+    if(meta && old){ meta.turns=old.turns; meta.pinned=old.pinned; meta.fields=old.fields; meta.manual_fields=old.manual_fields; meta.edited_from=oldText; }
+    renderStateViz();
+  }
+
+  // ---- Record fields (schema buckets with fields, e.g. next_steps owner / due / status) ----
+  // Values live on the item's provenance entry; fields the user set by hand are never overwritten by the model.
+  function recordMeta(bucket, text){
+    const low=(text||'').trim().toLowerCase(); const cur=stateRef.current[bucket]||[];
+    if(!low) return null;
+    const item=cur.find(s=>s.trim().toLowerCase()===low)
+      || [...itemMetaRef.current.values()].find(m=>m.bucket===bucket && hasCi(cur, m.text) && (m.aliases||[]).some(a=>a.toLowerCase()===low))?.text;
+    return item ? ensureMeta(bucket, item) : null;
+  }
+
+  // Returns the questions that became answered (or got a new answer) so the caller can settle them.
+  function applyDetails(details, source){
+    const answered=[];
+    for(const b of STATE_BUCKETS){
+      if(!b.fields?.length || !Array.isArray(details?.[b.key])) continue;
+      for(const rec of details[b.key]){
+        const meta=rec && recordMeta(b.key, rec.text); if(!meta) continue;
+        let changed=false;
+        for(const f of b.fields){
+          const v=rec[f.name];
+          if(v===null || v===undefined || v==='' || meta.fields?.[f.name]===v) continue;
+          if(source!=='manual' && meta.manual_fields?.includes(f.name)) continue;
+          meta.fields={ ...(meta.fields||{}), [f.name]:v };
+          if(source==='manual') meta.manual_fields=[...new Set([...(meta.manual_fields||[]), f.name])];
+          log('[viz] field', b.key, meta.text, f.name, v, `(${source})`);
+          changed=true;
+        }
+        if(changed && b.kind==='questions' && meta.fields.status==='answered') answered.push({ bucket:b.key, text:meta.text });
+      }
+    }
+    return answered;
+  }
+
+  // Edited in the viz; clearing a field also keeps the model from refilling it.
+  function setItemField(bucket, text, name, value){
+    const f=STATE_BUCKETS.find(b=>b.key===bucket)?.fields?.find(x=>x.name===name); if(!f) return;
+    const meta=ensureMeta(bucket, text);
+    const fields={ ...(meta.fields||{}) };
+    if(value==='') delete fields[name];
+    else fields[name]=f.type==='number' ? Number(value) : value;
+    meta.fields=fields;
+    meta.manual_fields=[...new Set([...(meta.manual_fields||[]), name])];
+    log('[viz] field', bucket, text, name, value, '(manual)');
+    if(STATE_BUCKETS.find(b=>b.key===bucket)?.kind==='questions' && fields.status==='answered') settleAnswered([{ bucket, text }], 'manual');
+    else renderStateViz();   // open-question count, heat map
+  }
+
+  // ---- Question lifecycle (kind "questions": status open|answered, answer -> facts/decisions item) ----
+  const moveAnsweredRef=useRef(false);   // take answered questions off the list once their answer is filed
+
+  // An answer that is not in its ref buckets yet is filed in the first one (near-duplicates merge,
+  // and the link follows the surviving item). With "move answered" on, the question is then
+  // removed and tombstoned so the extractor doesn't re-ask it; undo brings it back.
+  function settleAnswered(list, source){
+    for(const { bucket, text } of list){
+      const f=STATE_BUCKETS.find(b=>b.key===bucket)?.fields?.find(x=>x.name==='answer' && x.type==='ref');
+      const meta=metaOf(bucket, text);
+      const answer=meta?.fields?.answer;
+      if(f && answer && !f.ref.some(k=>hasCi(stateRef.current[k]||[], answer))){
+        applyStatePatch({ add:{ [f.ref[0]]:[answer] } }, source);
+        const filed=recordMeta(f.ref[0], answer)?.text;
+        if(filed && filed!==answer) meta.fields={ ...meta.fields, answer:filed };
+        log('[questions] filed answer', JSON.stringify(filed||answer), 'in', f.ref[0]);
+      }
+      if(moveAnsweredRef.current && hasCi(stateRef.current[bucket]||[], text)){
+        tombstonesRef.current.add(`${bucket}:${text.trim().toLowerCase()}`);
+        applyStatePatch({ remove:{ [bucket]:[text] } }, source);
+        log('[questions] moved answered question', JSON.stringify(text));
+      }
+    }
+    renderStateViz();
+  }
+
+  function openQuestions(){
+    return STATE_BUCKETS.filter(b=>b.kind==='questions')
+      .flatMap(b=>(stateRef.current[b.key]||[]).filter(text=>metaOf(b.key, text)?.fields?.status!=='answered'));
+  }
+
+  // { bucket: [{ text, ...fields }] } for every record bucket, as /analyze, /report and /tasks expect.
+  function itemDetails(){
+    const out={};
+    for(const b of STATE_BUCKETS){
+      if(!b.fields?.length) continue;
+      out[b.key]=(stateRef.current[b.key]||[]).map(text=>({ text, ...(metaOf(b.key, text)?.fields||{}) }));
+    }
+    return out;
+  }
+
+  function startInlineEdit(pill){
+    const { bucket, text }=pill.dataset;
+    const input=document.createElement('input');
+    input.value=text; input.className='vz-edit'; input.style.width=`${Math.max(8, text.length+2)}ch`;
+    pill.replaceWith(input); input.focus(); input.select();
+    let done=false;
+    const finish=(commit)=>{ if(done) return; done=true; if(commit) manualEdit(bucket, text, input.value); renderStateViz(); };
+    input.onkeydown=(e)=>{ if(e.key==='Enter') finish(true); else if(e.key==='Escape') finish(false); };
+    input.onblur=()=>finish(true);
+  }
+
+  // ---- State change history (undo/redo + timeline) ----
+  // entries[0..cursor) are applied; entries past the cursor are redoable until the next patch.
+  const historyRef=useRef({ entries:[], cursor:0 });
+  const HISTORY_MAX=200;
+
+  function recordHistory(source, added, removed){
+    const h=historyRef.current;
+    const userTurns=transcriptRef.current.filter(t=>t.role==='user');
+    h.entries.length=h.cursor;                     // a new change drops the redo tail
+    h.entries.push({
+      id: genId('h'), ts: Date.now(), source,
+      turn: userTurns.length, quote: (userTurns[userTurns.length-1]?.text||'').slice(0,80),
+      added, removed
+    });
+    if(h.entries.length>HISTORY_MAX) h.entries.splice(0, h.entries.length-HISTORY_MAX);
+    h.cursor=h.entries.length;
+    renderTimeline();
+  }
+
+  function resetHistory(){
+    historyRef.current={ entries:[], cursor:0 };
+    renderTimeline();
+  }
+
+  // Apply an entry forwards (redo) or backwards (undo) without recording it again.
+  function replayHistoryEntry(entry, forward){
+    const dst=stateRef.current;
+    const drop=(list)=>{ for(const {bucket,text} of list){ dst[bucket]=(dst[bucket]||[]).filter(s=>(s||'').trim().toLowerCase()!==text.toLowerCase()); } };
+    const put=(list)=>{ for(const {bucket,text,index} of list){
+      dst[bucket]=dst[bucket]||[]; if(hasCi(dst[bucket],text)) continue;
+      dst[bucket].splice(Math.min(index ?? dst[bucket].length, dst[bucket].length), 0, text);
+    } };
+    // removal indexes were taken one after another, so restore them last-first
+    if(forward){ put(entry.added.map(a=>({ ...a, index:undefined }))); drop(entry.removed); }
+    else{ drop(entry.added); put([...entry.removed].reverse()); }
+    renderStateViz();
+  }
+
+  function undoState(){
+    const h=historyRef.current; if(!h.cursor) return false;
+    const entry=h.entries[--h.cursor];
+    replayHistoryEntry(entry, false);
+    log('[history] undo', entry.source, entry.id);
+    renderTimeline();
+    return true;
+  }
+  function redoState(){
+    const h=historyRef.current; if(h.cursor>=h.entries.length) return false;
+    const entry=h.entries[h.cursor++];
+    replayHistoryEntry(entry, true);
+    log('[history] redo', entry.source, entry.id);
+    renderTimeline();
+    return true;
+  }
+
+  function renderTimeline(){
+    const el=document.getElementById('timeline'); if(!el) return;
+    const h=historyRef.current;
+    const undoBtn=/** @type {HTMLButtonElement} */(document.getElementById('undo'));
+    const redoBtn=/** @type {HTMLButtonElement} */(document.getElementById('redo'));
+    if(undoBtn) undoBtn.disabled=!h.cursor;
+    if(redoBtn) redoBtn.disabled=h.cursor>=h.entries.length;
+    const items=(list, sign)=>list.map(({bucket,text})=>`<span class="pill" title="${escapeHtml(bucket)}">${sign} ${escapeHtml(text)}</span>`).join('');
+    el.innerHTML=h.entries.map((e,i)=>`
+      <div style="border-left:3px solid ${i<h.cursor?'#4a8':'#ccc'};padding:4px 8px;margin:4px 0;${i<h.cursor?'':'opacity:0.5;'}">
+        <div class="small">${new Date(e.ts).toLocaleTimeString()} • ${escapeHtml(PROVENANCE_LABELS[e.source]||e.source)} •
+          ${e.turn ? `turn ${e.turn}${e.quote ? ` — “${escapeHtml(e.quote)}”` : ''}` : 'before first turn'}${i<h.cursor?'':' (undone)'}</div>
+        <div>${items(e.added,'+')}${items(e.removed,'−')}</div>
+      </div>`).reverse().join('') || '<div class="small" style="color:#666;">No changes yet.</div>';
+  }
+
   // --- Summary ---
+  // Streams /summary?stream=1 into #summary; a newer call aborts the older stream.
+  const summaryAbortRef=useRef(null);
+  const summaryStyleRef=useRef({ style:'one_liner', max_words:0 });
   async function refreshFinalSummary(){
+    summaryAbortRef.current?.abort();
+    const ac=new AbortController(); summaryAbortRef.current=ac;
+    let text=''; let final=null;
     try{
-      const res=await postJSON('/summary',{ transcript:transcriptRef.current.map(({role,text})=>({role,text})), mode:'final' });
-      if(res?.summary){
-        setSummary(res.summary);
-        summaryRef.current=res.summary;
-        log('[summary]', res.summary);
+      await postSSE('/summary?stream=1',{ transcript:transcriptRef.current.map(({role,text})=>({role,text})), mode:'final', definition:defPackRef.current, ...summaryStyleRef.current },(event,data)=>{
+        if(ac.signal.aborted) return;
+        if(event==='delta'){ text+=data?.delta||''; setSummary(text); }
+        else if(event==='done') final=data?.summary ?? text;
+        else if(event==='error') throw new Error(data?.error||'summary stream error');
+      }, ac.signal);
+      const out=(final ?? text).trim();
+      if(!ac.signal.aborted && out){
+        setSummary(out);
+        summaryRef.current=out;
+        log('[summary]', out);
       }
-    }catch(e){ log('[summary err]', e?.message||e); } finally{ setStatus('Waiting for next turn…'); }
+    }catch(e){
+      if(ac.signal.aborted) return;   // superseded by a newer turn
+      log('[summary err]', e?.message||e);
+      setSummary(summaryRef.current);
+    }finally{
+      if(summaryAbortRef.current===ac){ summaryAbortRef.current=null; setStatus('Waiting for next turn…'); }
+    }
   }
 
   // --- Extractor reconcile ---
   function computeRemovePatchAgainst(extracted, lastUser) {
     const remove = {};
-    const buckets=['goals','facts','questions','options','decisions','next_steps','risks'];
+    const buckets=bucketKeys();
     const lastTok=tokens(lastUser||'');
     const NEG=/\b(no|not|no longer|instead|rather|prefer|switch|change|stop|cancel|drop|remove|exclude)\b/i;
     for(const b of buckets){
@@ -502,72 +1630,130 @@ export default function App(){
     return Object.keys(remove).length?{ remove }:null;
   }
 
-  function inferCriteriaAndCellsFromUtterance(text){
-    const low = (text||'').toLowerCase();
-    const hits = [];
-    const L = [
-      { crit:'cost',      test:/\b(cost|price|budget|expensive|cheap)\b/,        weight: low.includes('cheap')||low.includes('lower') ? +20 : -30 },
-      { crit:'commute',   test:/\bcommute|minutes|min|train|subway|walk\b/,      weight: low.includes('short')||low.includes('<') ? +20 : -10 },
-      { crit:'space',     test:/\bspace|bedroom|br|sq ?ft|size\b/,               weight: +20 },
-      { crit:'quality',   test:/\bquality|nice|renovated|modern|new\b/,          weight: +15 },
-      { crit:'safety',    test:/\bsafe|crime|noisy|quiet\b/,                     weight: low.includes('quiet')||low.includes('safe') ? +15 : -15 },
-      { crit:'risk',      test:/\brisk|uncertain|unstable\b/,                    weight: -20 },
-      { crit:'convenience',test:/\bconvenient|near|close\b/,                     weight: +15 },
-    ];
-    for(const item of L){
-      if(item.test.test(low)){
-        hits.push({ criterion:item.crit, weight:item.weight, conf:0.6, rationale:`Heard: ${item.test}` });
-      }
-    }
-    return hits;
-  }
-
   async function addAndReconcileForUserTurn(lastUserText, mode='final'){
     if (gateOpenRef.current) return; // no extractor proposals before consent
 
     const userOnly=transcriptRef.current.filter(t=>t.role==='user');
-    let wantState={};
+    // grid judgments only on final turns; live partials would re-propose the same cells
+    const gridReq = mode==='final'
+      ? postJSON('/grid',{
+          transcript: transcriptRef.current.map(({role,text})=>({role,text})),
+          grid:{ options:Array.from(gridMDRef.current.options), criteria:Array.from(gridMDRef.current.criteria) },
+          user_turns: userOnly.length
+        }).catch(e=>{ log('[grid err]', e?.message||e); return null; })
+      : Promise.resolve(null);
+    let wantState={}; let degraded=false; let st=null;
     try{
-      const st=await postJSON('/state',{ transcript:userOnly, mode });
+      st=await postJSON('/state',{ transcript:userOnly, mode, definition:defPackRef.current });
       wantState=st?.state||{};
-      log('[extractor state]', wantState);
-    }catch(e){ log('[state err]', e?.message||e); }
-    const addPatch={ add:{} }; const buckets=['goals','facts','questions','options','decisions','next_steps','risks']; let anyAdd=false;
+      degraded=!!st?.degraded;
+      if(degraded) log('[extractor degraded]', st?.error||'');
+      else log('[extractor state]', wantState);
+    }catch(e){ degraded=true; log('[state err]', e?.message||e); }
+    const gridRes = await gridReq;
+    if(gridRes?.degraded) log('[grid degraded]', gridRes.error||'');
+    reconcileExtracted(wantState, lastUserText, Array.isArray(gridRes?.proposals)?gridRes.proposals:[], { degraded, via:'/state', details:st?.details });
+  }
+
+  // Merge an extracted/analyzed state into stateRef (adds, then reconcile removals)
+  // and queue grid proposals from it plus any model-suggested ones.
+  // A degraded extraction never removes anything. details carries record fields (owner, due, ...)
+  // for new and existing items alike.
+  function reconcileExtracted(wantState, lastUserText, modelProposals=[], { degraded=false, via='/state', details=null }={}){
+    const addPatch={ add:{} }; const buckets=bucketKeys(); let anyAdd=false;
     for(const b of buckets){
       const cur=stateRef.current[b]||[]; const want=Array.isArray(wantState[b])?wantState[b]:[];
       const toAdd=want.filter(v=>v && !hasCi(cur,v)); if(toAdd.length){ addPatch.add[b]=toAdd; anyAdd=true; }
     }
-    if(anyAdd) applyStatePatch(addPatch);
+    const anyDetails=!!details && Object.values(details).some(v=>Array.isArray(v) && v.length);
+    if(anyDetails) addPatch.details=details;
+    if(anyAdd || anyDetails) applyStatePatch(addPatch, 'extractor', { via });
     
-    const rmPatch=computeRemovePatchAgainst(wantState,lastUserText||'');
-    if(rmPatch) applyStatePatch(rmPatch);
+    const rmPatch=degraded ? null : computeRemovePatchAgainst(wantState,lastUserText||'');
+    if(rmPatch) applyStatePatch(rmPatch, 'extractor', { via });
 
-    // ---- build grid proposals from extractor + heuristics ----
+    // ---- grid proposals: extracted options + model (/grid or /analyze) proposals ----
+    const grid = gridMDRef.current;
+    const has = (set, name) => Array.from(set).some(v=>gridKey(v)===gridKey(name));
     const props = [];
-    for(const opt of (wantState.options || [])){
-      if(!gridMDRef.current.options.has(opt)){
+    const optBucket=optionsBucket();
+    for(const opt of (optBucket && wantState[optBucket]) || []){
+      if(!has(grid.options, opt)){
         props.push({ type:'add_option', option: opt, source:'extractor' });
       }
     }
-    for(const h of inferCriteriaAndCellsFromUtterance(lastUserText||'')){
-      if(!gridMDRef.current.criteria.has(h.criterion)){
-        props.push({ type:'add_criterion', criterion: h.criterion, source:'heuristic' });
-      }
-      const [onlyOpt] = Array.from(gridMDRef.current.options.values());
-      if(onlyOpt){
-        props.push({ type:'set_cell', option: onlyOpt, criterion: h.criterion, weight: h.weight, conf: h.conf, rationale: h.rationale, source:'heuristic' });
+    for(const p of modelProposals){
+      if(p.type==='add_option' && (has(grid.options, p.option) || props.some(q=>q.type==='add_option' && gridKey(q.option)===gridKey(p.option)))) continue;
+      if(p.type==='add_criterion' && has(grid.criteria, p.criterion)) continue;
+      if(p.type==='set_cell'){
+        const cur = grid.cells.get(kCell(p.option, p.criterion));
+        if(cur && cur.weight===p.weight) continue;   // already recorded
       }
+      props.push(p);
     }
     enqueueProposals(props);
   }
 
+  // --- Unified per-turn analysis (/analyze) ---
+  // Sends only the turns since the last analysis plus the previous summary/state.
+  // Streams /analyze?stream=1: the summary fills #summary as it is written, then the
+  // state and grid proposals arrive with "done". Shares summaryAbortRef with
+  // refreshFinalSummary, so a newer call supersedes it (the turns stay unanalyzed
+  // and fold into the next analysis).
+  const analyzedUpToRef=useRef(0);   // transcript index already folded into summary/state
+  async function analyzeFinalTurn(lastUserText){
+    const upTo=transcriptRef.current.length;
+    const from=Math.min(analyzedUpToRef.current, upTo);
+    const pick=({role,text})=>({role,text});
+    const body={
+      previous: from>0 ? { summary:summaryRef.current, state:stateRef.current, details:itemDetails() } : null,
+      turns: transcriptRef.current.slice(from, upTo).map(pick),
+      grid:{ options:Array.from(gridMDRef.current.options), criteria:Array.from(gridMDRef.current.criteria) },
+      user_turns: transcriptRef.current.filter(t=>t.role==='user').length,
+      mode:'final',
+      definition:defPackRef.current,
+      ...summaryStyleRef.current
+    };
+    if(!body.previous) body.transcript=body.turns;
+
+    summaryAbortRef.current?.abort();
+    const ac=new AbortController(); summaryAbortRef.current=ac;
+    let text=''; let res=null;
+    try{
+      await postSSE('/analyze?stream=1', body, (event,data)=>{
+        if(ac.signal.aborted) return;
+        if(event==='delta'){ text+=data?.delta||''; setSummary(text); }
+        else if(event==='done') res=data;
+        else if(event==='error') throw new Error(data?.error||'analyze stream error');
+      }, ac.signal);
+      if(ac.signal.aborted) return;
+      if(!res) throw new Error('analyze stream ended early');
+    }catch(e){
+      if(ac.signal.aborted) return;   // superseded by a newer turn
+      setSummary(summaryRef.current);
+      throw e;
+    }finally{
+      if(summaryAbortRef.current===ac){ summaryAbortRef.current=null; setStatus('Waiting for next turn…'); }
+    }
+    analyzedUpToRef.current=upTo;
+    log('[analyze]', res);
+
+    reconcileExtracted(res.state||{}, lastUserText, Array.isArray(res.grid_proposals)?res.grid_proposals:[], { via:'/analyze', details:res.details });
+    const out=(res.summary||text).trim();
+    if(out){
+      setSummary(out);
+      summaryRef.current=out;
+      log('[summary]', out);
+    }
+  }
+
   // --- Voice turns ---
   function sendGreeting(){
-    try { micSenderRef.current?.replaceTrack(null); } catch {}
+    micOff();
     expectResponseRef.current = true;
     safeSend({
       type:'response.create',
-      response:{ modalities:['audio','text'], instructions:'Greet the user briefly in English and ask: What would you like to talk about?' }
+      response:{ modalities:replyModalities(), instructions:'Greet the user briefly in English and ask: What would you like to talk about?' }
     });
   }
 
@@ -580,14 +1766,7 @@ export default function App(){
 
     replyInFlightRef.current = true;
     expectResponseRef.current = true;
-    const ctx = [
-      'Context Summary:', summaryRef.current,
-      'Context State JSON:', JSON.stringify(stateRef.current),
-      'Use vocal prosody from the most recent user audio to infer tone.',
-      'If a change is needed, CALL update_state(add/remove).',
-      'Reply in English with one concise, targeted follow-up.'
-    ].join('\n');
-    safeSend({ type:'response.create', response:{ modalities:['audio','text'], instructions:ctx } });
+    safeSend({ type:'response.create', response:{ modalities:replyModalities(), instructions:followUpInstructions() } });
   }
 
   function sendToolOutput(callId,payload){
@@ -607,16 +1786,16 @@ export default function App(){
     safeSend({
       type: 'response.create',
       response: {
-        modalities: ['audio','text'],
+        modalities: replyModalities(),
         metadata: { kind: 'definition_greeter' },
         instructions:
           'Let’s set the decision definition together. Speak one short question at a time. ' +
           'Start by asking, in English: "What decision are you making?" ' +
-          'As the user answers, call a tool named definition.greeter with partial fields you can infer ' +
-          '(title, scope, time_window, participants[], axes[]). ' +
+          'As the user answers, call definition_greeter with the fields you can infer so far ' +
+          `(${Object.keys(DEFINITION_SCHEMA.properties).join(', ')}); ${(DEFINITION_SCHEMA.required||[]).join(', ')} are required. ` +
           'Do NOT mention JSON or field names to the user; keep the conversation natural. ' +
           'After each answer, ask the next brief question (scope, time window, participants, key axes, etc.). ' +
-          'When you have enough to proceed, include status:"complete" in the tool output and give a short acknowledgement.'
+          'When the required fields are known, call it with status "complete". If the tool output lists missing fields, ask for those next.'
       }
     });
   }
@@ -643,7 +1822,7 @@ export default function App(){
   // --- finalize once ---
   async function finalizeTurn(){
     if(voiceTextBufRef.current.trim()){
-      transcriptRef.current.push({ role:'assistant', text:voiceTextBufRef.current.trim(), ts:Date.now() });
+      pushTurn('assistant', voiceTextBufRef.current.trim());
       voiceTextBufRef.current='';
     }
     assistantSpeakingRef.current=false;
@@ -655,8 +1834,17 @@ export default function App(){
     const lastUserFromLog = [...transcriptRef.current].reverse().find(t=>t.role==='user')?.text || '';
     const lastUser = lastUserTextRef.current || lastUserFromLog;
 
-    if(lastUser) await addAndReconcileForUserTurn(lastUser, 'final');
-    await refreshFinalSummary();
+    // One streamed /analyze call (summary + state + grid) once the definition is in;
+    // otherwise (or on failure) the separate /state + /grid + streamed /summary calls.
+    let analyzed=false;
+    if(lastUser && !gateOpenRef.current){
+      try{ await analyzeFinalTurn(lastUser); analyzed=true; }
+      catch(e){ log('[analyze err]', e?.message||e); }
+    }
+    if(!analyzed){
+      if(lastUser) await addAndReconcileForUserTurn(lastUser, 'final');
+      await refreshFinalSummary();
+    }
     lastFinalizeAtRef.current=Date.now();
 
     // Stage a reply (requires confirmation)
@@ -666,14 +1854,64 @@ export default function App(){
     }
   }
 
+  // A finished user turn, transcribed or typed: log it, then confirm or stage a reply.
+  // No model call here; finalizeTurn folds the turn into summary and state after the reply.
+  function onUserTurn(text){
+    pushTurn('user', text);
+    lastUserTextRef.current = text;
+
+    // Voice confirmation intent
+    if (isVoiceConfirmation(text) && pendingSpeakRef.current && speakGateRef.current) {
+      log('[confirm] voice confirmation detected');
+      performSpeak();
+    } else {
+      // Stage a reply for confirmation if none is pending
+      if (!pendingSpeakRef.current && !gateOpenRef.current) {
+        queueVoiceReply('follow_up');
+      }
+    }
+  }
+
+  // ---- Typed turns ----
+  // Sent as a conversation.item.create user message; no audio, so the model never
+  // starts a reply by itself. During the Definition Gate the greeter answers right away.
+  const replyModeRef=useRef('audio');   // 'audio' | 'text'
+  function replyModalities(){ return replyModeRef.current==='text' ? ['text'] : ['audio','text']; }
+
+  function sendTypedTurn(raw){
+    const text=(raw||'').trim(); if(!text) return false;
+    if(!connRef.current){ setStatus('Connect first to send a message.'); return false; }
+    safeSend({ type:'conversation.item.create', item:{ type:'message', role:'user', content:[{ type:'input_text', text }] } });
+    log('[typed]', text);
+    onUserTurn(text);
+    if(gateOpenRef.current) safeSend({ type:'response.create', response:{ modalities:replyModalities() } });
+    return true;
+  }
+
+  // Recent turns plus the reply being streamed (the only place text-only replies show up).
+  function renderChat(){
+    const el=document.getElementById('chat'); if(!el) return;
+    const turns=transcriptRef.current.slice(-12).map(t=>({ role:t.role, text:t.text }));
+    if(voiceTextBufRef.current.trim()) turns.push({ role:'assistant', text:`${voiceTextBufRef.current.trim()} …` });
+    el.innerHTML=turns.map(t=>`<div class="chat-${t.role}"><b>${t.role==='user'?'You':'Coach'}:</b> ${escapeHtml(t.text)}</div>`).join('')
+      || '<div class="small" style="color:#666;">No turns yet.</div>';
+    el.scrollTop=el.scrollHeight;
+  }
+
   // --- sanitize tool patch ---
   function sanitizePatch(p){
     if (!p || typeof p !== 'object') return null;
-    const keys = ['goals','facts','questions','options','decisions','next_steps','risks'];
+    const keys = bucketKeys();
     const out = {};
     if (p.add && typeof p.add === 'object') {
       out.add = {};
-      for (const k of keys) if (Array.isArray(p.add[k])) out.add[k] = p.add[k].filter(s=>typeof s==='string').slice(0,12);
+      for (const k of keys) if (Array.isArray(p.add[k])) {
+        // record buckets may add { text, ...fields }; the fields travel as patch.details
+        const items = p.add[k].filter(v=>typeof v==='string' || typeof v?.text==='string').slice(0,12);
+        out.add[k] = items.map(v=>typeof v==='string' ? v : v.text);
+        const recs = items.filter(v=>typeof v!=='string');
+        if (recs.length) (out.details ||= {})[k] = recs;
+      }
       if (!Object.keys(out.add).length) delete out.add;
     }
     if (p.remove && typeof p.remove === 'object') {
@@ -703,6 +1941,12 @@ export default function App(){
           return;
         }
       
+        // Tool read-outs the user explicitly asked for (score_grid) may speak
+        if (toolReplyAllowedRef.current && rid) {
+          toolReplyAllowedRef.current = false;
+          performingSpeakRef.current = true;
+        }
+
         // HARD GATE: only enforce cancel when Definition Gate is NOT active
         if (!gateOpenRef.current && speakGateRef.current && !performingSpeakRef.current && rid) {
           log('[gate] cancel unexpected response.created', rid);
@@ -717,11 +1961,13 @@ export default function App(){
       }
 
       // Assistant text stream (buffer) — only for our active response
+      case 'response.text.delta':
       case 'response.output_text.delta':
       case 'response.audio_transcript.delta': {
         const rid = ev?.response_id || ev?.response?.id || null;
         if (currentResponseIdRef.current && rid && rid !== currentResponseIdRef.current) break;
         voiceTextBufRef.current += ev?.delta || '';
+        renderChat();
         break;
       }
 
@@ -740,25 +1986,19 @@ export default function App(){
         const text=(t||'').trim();
         if(text){
           log('[input transcript]', text);
-          transcriptRef.current.push({ role:'user', text, ts:Date.now() });
-          lastUserTextRef.current = text;
-
-          addAndReconcileForUserTurn(text, 'live').catch(()=>{});
-
-          // Voice confirmation intent
-          if (isVoiceConfirmation(text) && pendingSpeakRef.current && speakGateRef.current) {
-            log('[confirm] voice confirmation detected');
-            performSpeak();
-          } else {
-            // Stage a reply for confirmation if none is pending
-            if (!pendingSpeakRef.current && !gateOpenRef.current) {
-              queueVoiceReply('follow_up');
-            }
-          }
+          onUserTurn(text);
+          if(handsFreeRef.current) replyHandsFree();
         }
         break;
       }
 
+      // Hands-free: server VAD heard speech start/stop
+      case 'input_audio_buffer.speech_started':
+      case 'input_audio_buffer.speech_stopped': {
+        if(handsFreeRef.current) renderPTTIndicator(ev.type==='input_audio_buffer.speech_started');
+        break;
+      }
+
       // Audio cleared after cancel — safe to unmute if not holding PTT
       case 'output_audio_buffer.cleared': {
         if (unmuteWhenClearedRef.current && !pttActiveRef.current) {
@@ -770,7 +2010,7 @@ export default function App(){
 
       case 'output_audio_buffer.started': {
         assistantSpeakingRef.current = true;
-        try { micSenderRef.current?.replaceTrack(null); } catch {}
+        micOff();   // hands-free keeps listening so the user can barge in
         break;
       }
 
@@ -790,53 +2030,69 @@ export default function App(){
         if (!id) break;
         const entry = toolBufRef.current.get(id);
         let args = {};
-        try { args = entry?.args ? JSON.parse(entry.args) : {}; } catch {}
+        const argText = entry?.args || ev?.arguments || '';
+        try { args = argText ? JSON.parse(argText) : {}; } catch {}
         toolBufRef.current.delete(id);
         const name = entry?.name || ev?.name || ev?.tool_name || '';
 
-        if (name === 'definition.greeter') {
+        // definition.greeter is the name older prompts used; tool names can't contain dots
+        if (name === 'definition_greeter' || name === 'definition.greeter') {
           const status = (args.status || args.phase || '').toString().toLowerCase();
-          const pack   = args.pack || args.definition_pack || null;
-        
-          // Keep capturing partials as the conversation flows
-          if (pack) {
-            defPackRef.current = pack; // stash latest partial/complete pack
+          const fields = normalizeDefinition(args.pack || args.definition_pack || args);
+          const pack = { ...(defPackRef.current && typeof defPackRef.current === 'object' ? defPackRef.current : {}), ...fields };
+          defPackRef.current = pack;   // keep partials as the conversation flows
+          renderDefinitionSummary();
+          const missing = definitionMissing(pack);
+
+          if (!gateOpenRef.current) {   // already accepted (e.g. via the form); just keep the updates
+            sendToolOutput(id, { ok: true });
+            return;
           }
-        
-          // If the greeter marks completion (or we get a good pack), close the gate
-          if (status === 'complete' || args.complete === true || pack) {
-            consentRef.current  = true;
-            gateOpenRef.current = false;
-        
-            // Immediate, short acknowledgement (no confirmation required here)
-            performingSpeakRef.current = true;
-            speakGateRef.current = false;
-            safeSend({
-              type:'response.create',
-              response:{
-                modalities:['audio','text'],
-                instructions:'Great — I captured the decision definition. When you want me to continue, say "go ahead" or press Confirm.'
-              }
-            });
-        
-            // Next turns will be gated again
-            setTimeout(()=>{ speakGateRef.current = true; }, 0);
-        
-            sendToolOutput(id, { ok:true });
+
+          // Still collecting, or "complete" without the required fields → the model asks the next short question
+          if (!(status === 'complete' || args.complete === true) || missing.length) {
+            sendToolOutput(id, missing.length ? { ok: status !== 'complete', missing } : { ok: true });
             return;
           }
-        
-          // Still collecting → stay in Definition Gate; the model will ask the next short question
+
+          acceptDefinition(pack, 'greeter');
+
+          // Immediate, short acknowledgement (no confirmation required here)
+          performingSpeakRef.current = true;
+          speakGateRef.current = false;
+          safeSend({
+            type:'response.create',
+            response:{
+              modalities:replyModalities(),
+              instructions:'Great — I captured the decision definition. When you want me to continue, say "go ahead" or press Confirm.'
+            }
+          });
+
+          // Next turns will be gated again
+          setTimeout(()=>{ speakGateRef.current = true; }, 0);
+
           sendToolOutput(id, { ok:true });
           return;
         }
-        
+
         const clean = sanitizePatch(args);
         if (name === 'update_state') {
-          if (clean) applyStatePatch(clean);
+          if (clean) applyStatePatch(clean, 'tool');
           sendToolOutput(id, { ok: true });
+        } else if (name === 'score_grid') {
+          const result = scoreGrid(gridMDRef.current);
+          renderGridPanel();
+          toolReplyAllowedRef.current = true;   // the user asked; let the read-out through the gate
+          sendToolOutput(id, {
+            ok: true,
+            ranking: result.ranking.map(r => ({ option: r.option, score: Math.round(r.score*10)/10, coverage: r.coverage })),
+            sensitivity: result.sensitivity.slice(0, 5).map(({ change, ...s }) => s),
+            read_aloud: describeScore(result)
+          });
         } else if (name === 'persist_session') {
-          sendToolOutput(id, { ok: true, session_id: 'dev-local' });
+          persistSession(typeof args.note === 'string' ? args.note : '')
+            .then(session_id => sendToolOutput(id, { ok: true, session_id }))
+            .catch(e => sendToolOutput(id, { ok: false, reason: e?.message || 'persist failed' }));
         } else {
           sendToolOutput(id, { ok: false, reason: 'unsupported tool' });
         }
@@ -845,7 +2101,7 @@ export default function App(){
 
       // ---- FINALIZE exactly once, keyed by response_id ----
       case 'response.done': {
-        const rid = ev?.response_id || ev?.id || null;
+        const rid = ev?.response?.id || ev?.response_id || ev?.id || null;
         if (!respPendingRef.current) break;
         if (currentResponseIdRef.current && rid && rid !== currentResponseIdRef.current) break;
 
@@ -868,6 +2124,136 @@ export default function App(){
     flushOutbox();
   }
 
+  // --- Trace replay ---
+  // Feeds a recorded trace back through handleServerEvent. Inbound events are
+  // re-dispatched; outbound response.create entries re-apply the client's intent
+  // (greeter / confirmed speak) that originally came from UI clicks. Anything the
+  // app sends during replay goes to a sink connection.
+  const replayRef=useRef(null);   // { conn, timers }
+
+  function setTraceStatus(text){
+    const el=document.getElementById('trace-status');
+    if(el) el.textContent=text||'';
+  }
+
+  function stopReplay(msg){
+    const r=replayRef.current; if(!r) return;
+    r.timers.forEach(clearTimeout);
+    replayRef.current=null;
+    traceRec.paused=false;
+    if(connRef.current===r.conn) connRef.current=null;
+    if(msg) setTraceStatus(msg);
+  }
+
+  function replayOutbound(ev){
+    if(ev?.type!=='response.create' || ev.response?.tool_outputs) return;
+    if(ev.response?.metadata?.kind==='definition_greeter') gateOpenRef.current=true;
+    performingSpeakRef.current=true;
+    speakGateRef.current=false;
+  }
+
+  // Forget the conversation on screen: transcript, summary, state (with provenance,
+  // tombstones, merges and history), grid and proposals.
+  function resetConversation(){
+    transcriptRef.current=[]; analyzedUpToRef.current=0; lastUserTextRef.current=''; voiceTextBufRef.current='';
+    renderChat();
+    summaryRef.current=''; setSummary('');
+    stateRef.current=emptyState();
+    idMapRef.current=new Map();
+    itemMetaRef.current=new Map();
+    tombstonesRef.current=new Set();
+    mergesRef.current=[]; renderMerges();
+    resetHistory();
+    gridMDRef.current={ options:new Set(), criteria:new Set(), cells:new Map(), weights:new Map() };
+    proposalsRef.current=[];
+    renderStateViz();
+    renderGridPanel();
+  }
+
+  function replayTrace(entries, speed=1){
+    if(connRef.current && !connRef.current.replay){ setTraceStatus('Disconnect before replaying a trace.'); return; }
+    stopReplay();
+
+    resetConversation();
+    toolBufRef.current=new Map();
+    outboxRef.current.length=0;
+    respPendingRef.current=false; currentResponseIdRef.current=null; replyInFlightRef.current=false;
+    pendingSpeakRef.current=null; speakGateRef.current=true; performingSpeakRef.current=false;
+    gateOpenRef.current=false; consentRef.current=false; defPackRef.current=null;
+    renderDefinitionSummary();
+    renderStateViz();
+    setConfirmUI(false);
+
+    const conn={ replay:true, dc:{ readyState:'open', send(){} } };
+    connRef.current=conn;
+    traceRec.paused=true;
+
+    const list=entries.filter(e=>e.dir==='in' || e.ev?.type==='response.create');
+    const total=list.filter(e=>e.dir==='in').length;
+    if(!total){ stopReplay('Trace has no inbound events.'); return; }
+    const t0=list[0].t;
+    const timers=[];
+    replayRef.current={ conn, timers };
+    let n=0;
+    list.forEach((e,i)=>{
+      const delay=speed>0 ? (e.t-t0)/speed : i*5;
+      timers.push(setTimeout(()=>{
+        if(replayRef.current?.conn!==conn) return;
+        if(e.dir==='out'){ replayOutbound(e.ev); return; }
+        handleServerEvent(structuredClone(e.ev));
+        setTraceStatus(`Replaying ${++n}/${total}…`);
+        if(n===total) stopReplay(`Replayed ${total} event(s).`);
+      }, delay));
+    });
+    setStatus('Replaying trace…');
+  }
+
+  // --- Voice mode: push-to-talk or hands-free (server VAD) ---
+  // PTT attaches the mic only while the key is held and commits the buffer itself.
+  // Hands-free keeps the mic attached and lets server VAD end turns, but with
+  // create_response:false so replies still go through replyHandsFree() and the gates.
+  function turnDetection(){
+    const { threshold, silence_ms }=vadRef.current;
+    return { type:'server_vad', threshold, silence_duration_ms:silence_ms, ...(handsFreeRef.current ? { create_response:false } : {}) };
+  }
+  function micOn(){ try{ if(micSenderRef.current && micTrackRef.current) micSenderRef.current.replaceTrack(micTrackRef.current); }catch{} }
+  function micOff(){ if(handsFreeRef.current) return; try{ micSenderRef.current?.replaceTrack(null); }catch{} }
+
+  function applyVoiceMode(){
+    renderPTTIndicator(false);
+    if(!connRef.current || replayRef.current) return;
+    log('[session.update] turn_detection', handsFreeRef.current ? 'hands-free' : 'ptt');
+    safeSend({ type:'session.update', session:{ turn_detection:turnDetection() } });
+    if(handsFreeRef.current) micOn(); else micOff();
+  }
+
+  // Switching hands-free on is the consent to speak: answer each VAD turn right away
+  // with a freshly staged reply. The greeter answers directly while the gate is open.
+  function replyHandsFree(){
+    if(replyInFlightRef.current) return;   // e.g. "go ahead" already confirmed a reply
+    if(gateOpenRef.current){ safeSend({ type:'response.create', response:{ modalities:replyModalities() } }); return; }
+    pendingSpeakRef.current=null;
+    queueVoiceReply('follow_up');
+    performSpeak();
+  }
+
+  function pttKeyLabel(code=pttKeyRef.current){
+    if(code==='Space') return 'SPACE';
+    return code.replace(/^(Key|Digit|Numpad)(?=.)/, '');
+  }
+  function renderPTTIndicator(active=false){
+    const el=document.getElementById('ptt-indicator');
+    const key=pttKeyLabel();
+    if(el){
+      el.style.color=active?'green':'#666'; el.style.fontWeight=active?'bold':'normal';
+      el.textContent=handsFreeRef.current
+        ? (active?'Hearing you… pause to send':'Hands-free: just talk, a pause ends your turn')
+        : (active?`Listening… release ${key} to send`:`Press and hold ${key} to talk`);
+    }
+    const hint=document.getElementById('confirm-hint');
+    if(hint) hint.textContent=` (Or ${handsFreeRef.current ? 'say' : `hold ${key} and say`} “go ahead” / “please proceed”)`;
+  }
+
   // --- PTT ---
   useEffect(()=>{
     function isTypingInInput(){
@@ -876,8 +2262,23 @@ export default function App(){
       return tag==='input'||tag==='textarea'||el.isContentEditable;
     }
     async function onKeyDown(e){
-      if(e.code!=='Space') return; if(isTypingInInput()) return;
+      if(pttKeyCaptureRef.current){
+        e.preventDefault();
+        pttKeyCaptureRef.current=false;
+        if(e.code && e.code!=='Escape') pttKeyRef.current=e.code;
+        renderPTTKeyButton();
+        renderPTTIndicator(false);
+        return;
+      }
+      // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (inputs keep their own undo)
+      if((e.ctrlKey||e.metaKey) && !e.altKey && !isTypingInInput()){
+        const k=e.key.toLowerCase();
+        if(k==='z' && !e.shiftKey){ e.preventDefault(); undoState(); return; }
+        if((k==='z' && e.shiftKey) || k==='y'){ e.preventDefault(); redoState(); return; }
+      }
+      if(e.code!==pttKeyRef.current) return; if(isTypingInInput()) return;
       e.preventDefault();
+      if(handsFreeRef.current) return;
       if(assistantSpeakingRef.current) return;
       if(pttActiveRef.current) return;
 
@@ -893,11 +2294,11 @@ export default function App(){
       safeSend({ type:'input_audio_buffer.clear' });
 
       // attach mic + optional local SR
-      try{ if(micSenderRef.current && micTrackRef.current) micSenderRef.current.replaceTrack(micTrackRef.current); }catch{}
+      micOn();
       startSpeech();
     }
     async function onKeyUp(e){
-      if(e.code!=='Space') return; if(isTypingInInput()) return;
+      if(e.code!==pttKeyRef.current) return; if(isTypingInInput()) return;
       e.preventDefault(); if(!pttActiveRef.current) return;
 
       pttActiveRef.current=false;
@@ -913,17 +2314,17 @@ export default function App(){
       // small tail for prosody and to let commit enqueue cleanly
       await new Promise(r=>setTimeout(r,150));
 
-      try{ micSenderRef.current?.replaceTrack(null); }catch{}
+      micOff();
 
       // log local text right away (if any)
       const text = (pttBufferRef.current||'').trim();
       pttBufferRef.current='';
       if (text) {
         log('[ptt local text]', text);
-        transcriptRef.current.push({ role:'user', text, ts:Date.now() });
+        pushTurn('user', text);
         lastUserTextRef.current = text;
         const local = localAddOnlyFromUser(text);   // optional immediate chips
-        if (local) applyStatePatch(local);
+        if (local) applyStatePatch(local, 'ptt');
       }
 
       // Unmute unless we're waiting for a server "cleared" after a cancel
@@ -936,36 +2337,46 @@ export default function App(){
     }
     function ensurePTTIndicator(){
       let el=document.getElementById('ptt-indicator');
-      if(!el){ el=document.createElement('div'); el.id='ptt-indicator'; el.className='small'; el.style.marginTop='10px'; el.style.color='#666'; el.textContent='Press and hold SPACE to talk'; document.body.appendChild(el); }
+      if(!el){ el=document.createElement('div'); el.id='ptt-indicator'; el.className='small'; el.style.marginTop='10px'; el.style.color='#666'; document.body.appendChild(el); }
       return el;
     }
     function setPTTActiveUI(active){
-      const el=ensurePTTIndicator(); el.style.color=active?'green':'#666'; el.style.fontWeight=active?'bold':'normal';
-      el.textContent=active?'Listening… release SPACE to send':'Press and hold SPACE to talk';
+      ensurePTTIndicator();
+      renderPTTIndicator(active);
     }
     window.addEventListener('keydown', onKeyDown);
     window.addEventListener('keyup', onKeyUp);
     ensurePTTIndicator();
     ensureConfirmButton();
     setConfirmUI(false);
+    renderPTTIndicator(false);
     return ()=>{ window.removeEventListener('keydown', onKeyDown); window.removeEventListener('keyup', onKeyUp); };
   }, []);
 
   // --- Connect / Disconnect ---
   async function onConnect(){
+    stopReplay();
+    traceReset();
+    // A new connection starts a new conversation unless a saved session was just resumed
+    if(!resumedRef.current){
+      resetConversation();
+      sessionIdRef.current=null;
+    }
     setStatus('Connecting…');
     try{
       const conn=await connectRealtime(); connRef.current=conn;
       micTrackRef.current=conn.micTrack;
       micSenderRef.current=conn.micSender;
-      renderViz(document.getElementById('viz'), stateRef.current);
+      renderStateViz();
       conn.setHandler(handleServerEvent);
 
-      try{ micSenderRef.current?.replaceTrack(null); }catch{}
+      micOff();
 
+      // Once per connection: a reconnect (e.g. after resuming a saved session) needs its own config
+      let armed = false;
       const arm = () => {
-        if (onConnect.didConfig) return;
-        onConnect.didConfig = true;
+        if (armed) return;
+        armed = true;
       
         log('[session.update] voice+transcription+VAD');
         safeSend({
@@ -973,18 +2384,32 @@ export default function App(){
           session: {
             voice: 'alloy',
             input_audio_transcription: { model: 'whisper-1' },
-            turn_detection: { type: 'server_vad', threshold: 0.6, silence_duration_ms: 700 }
+            turn_detection: turnDetection()
           }
         });
       
-        // Keep mic detached so the greeter can't hear itself
-        try { micSenderRef.current?.replaceTrack(null); } catch {}
+        // Keep mic detached so the greeter can't hear itself (hands-free relies on echo cancellation)
+        if (handsFreeRef.current) micOn(); else micOff();
         setAssistantMuted(false);
       
-        // Open the gate for definition
+        // Resumed sessions, and definitions accepted in the form before connecting,
+        // already carry a definition; skip the greeter
+        const resumed = resumedRef.current;
+        resumedRef.current = false;
+        if (defPackRef.current && (resumed || consentRef.current)) {
+          gateOpenRef.current = false;
+          consentRef.current  = true;
+          setStatus(resumed ? 'Connected. Resumed saved session.' : 'Connected. Using the accepted definition.');
+          queueVoiceReply(resumed ? 'resume' : 'follow_up');
+          flushOutbox();
+          return;
+        }
+
+        // Open the gate for definition (dropping any partial pack the greeter never completed)
         gateOpenRef.current = true;
         consentRef.current  = false;
         defPackRef.current  = null;
+        renderDefinitionSummary();
       
         setStatus('Connected. Define the decision to begin.');
         sendDefinitionGreeter();        // speak-once greeter (audio)
@@ -1001,18 +2426,20 @@ export default function App(){
   }
 
   function onDisconnect(){
+    stopReplay('Replay stopped.');
+    summaryAbortRef.current?.abort();
     try{ connRef.current?.stop?.(); }catch{}
     connRef.current=null;
     setStatus('Idle');
     try{ srRef.current?.stop?.(); }catch{}
-    transcriptRef.current=[];
+    // transcript/summary/state/grid stay until the next Connect so a report can still be generated
     voiceTextBufRef.current='';
     outboxRef.current.length=0;
     assistantSpeakingRef.current=false;
     unmuteWhenClearedRef.current=false;
     lastUserTextRef.current='';
     try{ micSenderRef.current?.replaceTrack(micTrackRef.current||null); }catch{}
-    const ind=document.getElementById('ptt-indicator'); if(ind) ind.textContent='Press and hold SPACE to talk';
+    renderPTTIndicator(false);
     setAssistantMuted(false);
     // reset gate/pending
     speakGateRef.current = true;
@@ -1020,6 +2447,192 @@ export default function App(){
     setConfirmUI(false);
   }
 
+  // --- Summary style controls (re-summarize on change) ---
+  useEffect(()=>{
+    const styleSel=/** @type {HTMLSelectElement} */(document.getElementById('summary-style'));
+    const maxIn=/** @type {HTMLInputElement} */(document.getElementById('summary-max-words'));
+    const apply=()=>{
+      summaryStyleRef.current={ style:styleSel?.value||'one_liner', max_words:Math.max(0, parseInt(maxIn?.value||'0',10)||0) };
+      if(transcriptRef.current.length) refreshFinalSummary();
+    };
+    if(styleSel) styleSel.onchange=apply;
+    if(maxIn) maxIn.onchange=apply;
+  },[]);
+
+  // --- Voice mode controls (hands-free toggle, VAD tuning, PTT key) ---
+  function renderPTTKeyButton(){
+    const btn=document.getElementById('ptt-key'); if(!btn) return;
+    btn.textContent=pttKeyCaptureRef.current ? 'Press a key… (Esc cancels)' : pttKeyLabel();
+    if(!pttKeyCaptureRef.current) btn.blur();
+  }
+  useEffect(()=>{
+    const hf=/** @type {HTMLInputElement} */(document.getElementById('hands-free'));
+    const thr=/** @type {HTMLInputElement} */(document.getElementById('vad-threshold'));
+    const sil=/** @type {HTMLInputElement} */(document.getElementById('vad-silence'));
+    const keyBtn=document.getElementById('ptt-key');
+    const apply=()=>{
+      const t=parseFloat(thr?.value||''), ms=parseInt(sil?.value||'',10);
+      vadRef.current={
+        threshold:Number.isFinite(t) ? Math.min(1, Math.max(0, t)) : 0.6,
+        silence_ms:Number.isFinite(ms) ? Math.min(5000, Math.max(200, ms)) : 700
+      };
+      handsFreeRef.current=!!hf?.checked;
+      applyVoiceMode();
+    };
+    if(hf) hf.onchange=apply;
+    if(thr) thr.onchange=apply;
+    if(sil) sil.onchange=apply;
+    if(keyBtn) keyBtn.onclick=()=>{ pttKeyCaptureRef.current=true; renderPTTKeyButton(); };
+    apply();
+    renderPTTKeyButton();
+  },[]);
+
+  // --- Trace controls ---
+  useEffect(()=>{
+    const exportBtn=document.getElementById('trace-export');
+    const clearBtn=document.getElementById('trace-clear');
+    const stopBtn=document.getElementById('trace-stop');
+    const fileIn=/** @type {HTMLInputElement} */(document.getElementById('trace-file'));
+    const speedSel=/** @type {HTMLSelectElement} */(document.getElementById('trace-speed'));
+    if(exportBtn) exportBtn.onclick=()=>{
+      const name=`trace-${new Date().toISOString().replace(/[:.]/g,'-')}.jsonl`;
+      downloadText(name, traceToJsonl(), 'application/x-ndjson');
+      setTraceStatus(`Exported ${traceRec.entries.length} event(s).`);
+    };
+    if(clearBtn) clearBtn.onclick=()=>{ traceReset(); setTraceStatus('Trace cleared.'); };
+    if(stopBtn) stopBtn.onclick=()=>stopReplay('Replay stopped.');
+    if(fileIn) fileIn.onchange=async()=>{
+      const f=fileIn.files?.[0]; if(!f) return;
+      const entries=parseTrace(await f.text());
+      fileIn.value='';
+      replayTrace(entries, Number(speedSel?.value ?? 1));
+    };
+  },[]);
+
+  // --- Report controls ---
+  useEffect(()=>{
+    const btn=document.getElementById('report-generate');
+    const fmt=/** @type {HTMLSelectElement} */(document.getElementById('report-format'));
+    const inc=/** @type {HTMLInputElement} */(document.getElementById('report-transcript'));
+    const statusEl=document.getElementById('report-status');
+    if(btn) btn.onclick=async()=>{
+      try{ const name=await downloadReport(fmt?.value||'md', inc?.checked); if(statusEl) statusEl.textContent=`Downloaded ${name}`; }
+      catch(e){ if(statusEl) statusEl.textContent=`Report failed: ${e?.message||e}`; }
+    };
+    const tasksBtn=document.getElementById('tasks-export');
+    const tasksFmt=/** @type {HTMLSelectElement} */(document.getElementById('tasks-format'));
+    if(tasksBtn) tasksBtn.onclick=async()=>{
+      try{ const name=await downloadTasks(tasksFmt?.value||'ics'); if(statusEl) statusEl.textContent=`Downloaded ${name}`; }
+      catch(e){ if(statusEl) statusEl.textContent=`Task export failed: ${e?.message||e}`; }
+    };
+  },[]);
+
+  // --- State schema (buckets) ---
+  useEffect(()=>{
+    loadStateSchema().then(()=>{
+      stateRef.current={ ...emptyState(), ...stateRef.current };
+      const title=document.getElementById('state-title');
+      if(title) title.textContent=`${STATE_LABEL} (live)`;
+      renderStateViz();
+    }).catch(e=>log('[schema err]', e?.message||e));
+  },[]);
+
+  // --- Undo / redo controls + provenance on pill click ---
+  useEffect(()=>{
+    const viz=document.getElementById('viz');
+    if(viz){
+      viz.onclick=(e)=>{
+        const t=/** @type {HTMLElement} */(e.target);
+        const pill=t.closest?.('.pill[data-bucket]'); if(!pill || t.classList.contains('vz-field')) return;
+        const { bucket, text }=pill.dataset;
+        if(t.classList.contains('vz-pin')) togglePin(bucket, text);
+        else if(t.classList.contains('vz-del')) manualDelete(bucket, text);
+        else showProvenance(bucket, text);
+      };
+      viz.ondblclick=(e)=>{
+        const t=/** @type {HTMLElement} */(e.target);
+        const pill=t.closest?.('.pill[data-bucket]');
+        if(pill && !t.classList.contains('vz-field') && !gateOpenRef.current) startInlineEdit(pill);
+      };
+      viz.onchange=(e)=>{
+        const t=/** @type {HTMLInputElement} */(e.target);
+        const pill=t.closest?.('.pill[data-bucket]');
+        if(pill && t.classList.contains('vz-field')) setItemField(pill.dataset.bucket, pill.dataset.text, t.dataset.field, t.value.trim());
+      };
+      viz.onkeydown=(e)=>{
+        const t=/** @type {HTMLInputElement} */(e.target);
+        if(e.key!=='Enter' || !t.classList.contains('vz-add')) return;
+        const bucket=t.dataset.bucket;
+        manualAdd(bucket, t.value);
+        /** @type {HTMLInputElement} */(viz.querySelector(`.vz-add[data-bucket="${bucket}"]`))?.focus();
+      };
+    }
+    const undoBtn=document.getElementById('undo');
+    const redoBtn=document.getElementById('redo');
+    const moveBox=/** @type {HTMLInputElement} */(document.getElementById('questions-move'));
+    if(moveBox) moveBox.onchange=()=>{ moveAnsweredRef.current=moveBox.checked; };
+    if(undoBtn) undoBtn.onclick=()=>undoState();
+    if(redoBtn) redoBtn.onclick=()=>redoState();
+    renderTimeline();
+  },[]);
+
+  // --- Typed input + reply mode ---
+  useEffect(()=>{
+    const input=/** @type {HTMLInputElement} */(document.getElementById('typed-input'));
+    const sendBtn=document.getElementById('typed-send');
+    const mode=/** @type {HTMLSelectElement} */(document.getElementById('reply-mode'));
+    const send=()=>{ if(input && sendTypedTurn(input.value)) input.value=''; };
+    if(sendBtn) sendBtn.onclick=send;
+    if(input) input.onkeydown=(e)=>{ if(e.key==='Enter' && !e.shiftKey){ e.preventDefault(); send(); } };
+    if(mode) mode.onchange=()=>{ replyModeRef.current=mode.value==='text' ? 'text' : 'audio'; };
+    renderChat();
+  },[]);
+
+  // --- Definition form (type or correct the definition instead of / after the spoken greeter) ---
+  useEffect(()=>{
+    const btn=document.getElementById('def-edit');
+    if(btn) btn.onclick=()=>showDefinitionGateUI(defPackRef.current);
+    renderDefinitionSummary();
+  },[]);
+
+  // --- Perspective Visualizer controls ---
+  useEffect(()=>{
+    const openBtn=document.getElementById('pv-open');
+    const fileIn=/** @type {HTMLInputElement} */(document.getElementById('pv-import'));
+    const statusEl=document.getElementById('pv-status');
+    const say=t=>{ if(statusEl) statusEl.textContent=t; };
+    if(openBtn) openBtn.onclick=async()=>{
+      try{ say(await openInVisualizer()); }
+      catch(e){ say(`Hand-off failed: ${e?.message||e}`); }
+    };
+    if(fileIn) fileIn.onchange=async()=>{
+      const f=fileIn.files?.[0]; if(!f) return;
+      fileIn.value='';
+      try{ const id=await importPvBundle(await f.text()); say(`Imported as ${id}${connRef.current?'':' — connect to continue'}`); }
+      catch(e){ say(`Import failed: ${e?.message||e}`); }
+    };
+  },[]);
+
+  // --- Saved sessions controls ---
+  useEffect(()=>{
+    const saveBtn=document.getElementById('session-save');
+    const resumeBtn=document.getElementById('session-resume');
+    const refreshBtn=document.getElementById('session-refresh');
+    const sel=/** @type {HTMLSelectElement} */(document.getElementById('session-list'));
+    if(saveBtn) saveBtn.onclick=async()=>{
+      const note=prompt('Note for this save point (optional):', '');
+      if(note==null) return;
+      try{ const id=await persistSession(note); setSessionStatus(`Saved ${id}`); }
+      catch(e){ setSessionStatus(`Save failed: ${e?.message||e}`); }
+    };
+    if(resumeBtn) resumeBtn.onclick=async()=>{
+      try{ const s=await resumeSavedSession(sel?.value); if(s) setSessionStatus(`Resumed ${s.id}${connRef.current?'':' — connect to continue'}`); }
+      catch(e){ setSessionStatus(`Resume failed: ${e?.message||e}`); }
+    };
+    if(refreshBtn) refreshBtn.onclick=()=>refreshSessionList().catch(e=>setSessionStatus(e?.message||String(e)));
+    refreshSessionList().catch(()=>{});
+  },[]);
+
   useEffect(()=>{
     const connectBtn=document.getElementById('connect');
     const disconnectBtn=document.getElementById('disconnect');
@@ -1,19 +1,38 @@
 // server.mjs
-// Static server + three endpoints:
+// Static server + endpoints:
 // 1) GET  /session  -> Ephemeral WebRTC session for VOICE (Realtime) [audio + text]
-// 2) POST /summary  -> REST summarizer (Responses API)
+// 2) POST /summary  -> REST summarizer (Responses API); ?stream=1 streams deltas as SSE
 // 3) POST /state    -> REST extractor producing "Perspective State" JSON
+// 4) POST /analyze  -> summary + state + grid proposals from one structured-output call
+//    POST /grid     -> decision-grid proposals (options, criteria, quoted cell judgments)
+// 5) POST /report   -> end-of-session report (?format=md|html|json)
+//    POST /tasks    -> next steps as tasks (?format=ics|csv|json)
+// 6) GET  /sessions, POST /sessions, GET /sessions/:id, POST /sessions/:id/resume
+//                   -> durable session store (JSON files under DATA_DIR)
+//    GET  /schema   -> the Perspective State bucket schema (config/schemas/<name>.json) + definition pack schema
+// 7) GET  /sessions/:id/pv.json, POST /sessions/:id/pv, POST /sessions/import
+//                   -> Perspective Visualizer exchange bundle (export / hand-off / import)
+// Model endpoints are pluggable per task (see LLM PROVIDERS); MOCK=1 serves fixtures instead.
 // Node 18+ (global fetch). No deps.
 
 import http from 'node:http';
 import fs from 'node:fs';
 import path from 'node:path';
 import url from 'node:url';
+import crypto from 'node:crypto';
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 8080;
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 const PUBLIC_DIR = path.join(__dirname, 'public');
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const STATE_REPAIR_RETRIES = process.env.STATE_REPAIR_RETRIES ? Number(process.env.STATE_REPAIR_RETRIES) : 1;
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
+const PV_URL = process.env.PV_URL || '';   // visualizer endpoint that accepts POSTed exchange bundles
+const PV_TIMEOUT_MS = process.env.PV_TIMEOUT_MS ? Number(process.env.PV_TIMEOUT_MS) : 10000;
+
+// Errors the client caused; the request handler answers them with 400 instead of 500.
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
 
 async function readJson(req) {
   return new Promise((resolve, reject) => {
@@ -21,30 +40,281 @@ async function readJson(req) {
     req.on('data', c => (data += c));
     req.on('end', () => {
       try { resolve(data ? JSON.parse(data) : {}); }
-      catch (e) { reject(e); }
+      catch (e) { reject(badRequest(`Invalid JSON body: ${/** @type {Error} */(e).message}`)); }
     });
     req.on('error', reject);
   });
 }
 
+/** ---------- LLM PROVIDERS ---------- */
+// Every model call goes through a named provider (base URL + API flavour + auth)
+// and a task entry (provider + model). Defaults target OpenAI; override with a
+// JSON file (LLM_CONFIG, default config/llm.json) and/or env vars:
+//   LLM_BASE_URL, LLM_API (responses|chat), LLM_API_KEY, LLM_AUTH_HEADER
+//     -> an "env" provider used by the summary/state/analyze/grid/memory tasks
+//   SUMMARY_MODEL, STATE_MODEL, ANALYZE_MODEL, GRID_MODEL, MEMORY_MODEL, REALTIME_MODEL, <TASK>_PROVIDER
+const DEFAULT_LLM_CONFIG = {
+  providers: {
+    openai: { base_url: 'https://api.openai.com/v1', api: 'responses', api_key_env: 'OPENAI_API_KEY' }
+  },
+  tasks: {
+    realtime: { provider: 'openai', model: 'gpt-realtime' },
+    summary:  { provider: 'openai', model: 'gpt-4o-mini' },
+    state:    { provider: 'openai', model: 'gpt-4o-mini' },
+    analyze:  { provider: 'openai', model: 'gpt-4o-mini' },
+    grid:     { provider: 'openai', model: 'gpt-4o-mini' },
+    memory:   { provider: 'openai', model: 'gpt-4o-mini' }
+  }
+};
+
+function loadLlmConfig() {
+  const cfg = {
+    providers: { ...DEFAULT_LLM_CONFIG.providers },
+    tasks: Object.fromEntries(Object.entries(DEFAULT_LLM_CONFIG.tasks).map(([k, v]) => [k, { ...v }]))
+  };
+
+  const file = process.env.LLM_CONFIG
+    ? path.resolve(process.env.LLM_CONFIG)
+    : path.join(__dirname, 'config', 'llm.json');
+  if (fs.existsSync(file)) {
+    const j = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [name, p] of Object.entries(j.providers || {})) cfg.providers[name] = { ...cfg.providers[name], ...p };
+    for (const [name, t] of Object.entries(j.tasks || {})) cfg.tasks[name] = { ...cfg.tasks[name], ...t };
+  } else if (process.env.LLM_CONFIG) {
+    throw new Error(`LLM_CONFIG not found: ${file}`);
+  }
+
+  if (process.env.LLM_BASE_URL) {
+    cfg.providers.env = {
+      base_url: process.env.LLM_BASE_URL,
+      api: process.env.LLM_API || 'chat',
+      api_key_env: 'LLM_API_KEY',
+      require_key: false,
+      auth_header: process.env.LLM_AUTH_HEADER || 'Authorization'
+    };
+    cfg.tasks.summary.provider = 'env';
+    cfg.tasks.state.provider = 'env';
+    cfg.tasks.analyze.provider = 'env';
+    cfg.tasks.grid.provider = 'env';
+    cfg.tasks.memory.provider = 'env';
+  }
+  for (const task of Object.keys(cfg.tasks)) {
+    const up = task.toUpperCase();
+    if (process.env[`${up}_PROVIDER`]) cfg.tasks[task].provider = process.env[`${up}_PROVIDER`];
+    if (process.env[`${up}_MODEL`]) cfg.tasks[task].model = process.env[`${up}_MODEL`];
+  }
+  return cfg;
+}
+
+const LLM_CONFIG = loadLlmConfig();
+
+/**
+ * Resolve a task ("summary", "state", "realtime") to its provider settings.
+ * Returns { name, base_url, api, model, headers }.
+ */
+function providerFor(task) {
+  const t = LLM_CONFIG.tasks[task];
+  if (!t) throw new Error(`No LLM task configured: ${task}`);
+  const p = LLM_CONFIG.providers[t.provider];
+  if (!p) throw new Error(`Unknown LLM provider "${t.provider}" for task ${task}`);
+
+  const key = p.api_key ?? (p.api_key_env ? process.env[p.api_key_env] || '' : '');
+  if (p.api_key_env && !key && p.require_key !== false) {
+    throw new Error(`${p.api_key_env} is not set`);
+  }
+  const headers = { 'Content-Type': 'application/json', ...(p.headers || {}) };
+  if (key) {
+    const header = p.auth_header || 'Authorization';
+    const scheme = p.auth_scheme ?? (header.toLowerCase() === 'authorization' ? 'Bearer' : '');
+    headers[header] = scheme ? `${scheme} ${key}` : key;
+  }
+  return {
+    name: t.provider,
+    base_url: String(p.base_url || '').replace(/\/+$/, ''),
+    api: p.api === 'chat' ? 'chat' : 'responses',
+    model: t.model,
+    headers
+  };
+}
+
+// Pull the text out of a Responses API or Chat Completions payload.
+function outputText(data) {
+  if (Array.isArray(data.output_text)) return data.output_text.join('');
+  if (typeof data.output_text === 'string') return data.output_text;
+  if (data.output?.[0]?.content?.[0]?.text) return data.output[0].content[0].text;
+  if (typeof data.choices?.[0]?.message?.content === 'string') return data.choices[0].message.content;
+  if (data.content?.[0]?.text) return data.content[0].text;
+  if (typeof data.text === 'string') return data.text;
+  return '';
+}
+
+/**
+ * One-shot text completion for a task. `label` prefixes error messages.
+ * Pass { schema, name } to request JSON-schema constrained (structured) output.
+ */
+async function llmText(task, prompt, label, { schema, name = 'output' } = {}) {
+  const p = providerFor(task);
+  const endpoint = p.api === 'chat' ? `${p.base_url}/chat/completions` : `${p.base_url}/responses`;
+  const body = p.api === 'chat'
+    ? { model: p.model, messages: [{ role: 'user', content: prompt }] }
+    : { model: p.model, input: prompt };
+  if (schema) {
+    if (p.api === 'chat') body.response_format = { type: 'json_schema', json_schema: { name, schema, strict: true } };
+    else body.text = { format: { type: 'json_schema', name, schema, strict: true } };
+  }
+
+  const res = await fetch(endpoint, { method: 'POST', headers: p.headers, body: JSON.stringify(body) });
+  if (!res.ok) {
+    const txt = await res.text();
+    throw new Error(`${label}: ${res.status} ${res.statusText} — ${txt}`);
+  }
+  return outputText(await res.json());
+}
+
+// Yield the `data:` payload of each Server-Sent Event in a fetch body.
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let i;
+    while ((i = buf.indexOf('\n\n')) !== -1) {
+      const block = buf.slice(0, i); buf = buf.slice(i + 2);
+      const data = block.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trimStart()).join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * Streaming completion for a task. Calls onDelta(text) per token chunk and
+ * resolves with the full text. Pass an AbortSignal to stop upstream early, and
+ * { schema, name } for structured output as in llmText().
+ */
+async function llmStream(task, prompt, label, onDelta, signal, { schema, name = 'output' } = {}) {
+  const p = providerFor(task);
+  const endpoint = p.api === 'chat' ? `${p.base_url}/chat/completions` : `${p.base_url}/responses`;
+  const body = p.api === 'chat'
+    ? { model: p.model, messages: [{ role: 'user', content: prompt }], stream: true }
+    : { model: p.model, input: prompt, stream: true };
+  if (schema) {
+    if (p.api === 'chat') body.response_format = { type: 'json_schema', json_schema: { name, schema, strict: true } };
+    else body.text = { format: { type: 'json_schema', name, schema, strict: true } };
+  }
+
+  const res = await fetch(endpoint, { method: 'POST', headers: p.headers, body: JSON.stringify(body), signal });
+  if (!res.ok) {
+    const txt = await res.text();
+    throw new Error(`${label}: ${res.status} ${res.statusText} — ${txt}`);
+  }
+  let full = '';
+  for await (const data of sseData(res.body)) {
+    if (data === '[DONE]') break;
+    let ev; try { ev = JSON.parse(data); } catch { continue; }
+    const delta = p.api === 'chat'
+      ? ev.choices?.[0]?.delta?.content
+      : (ev.type === 'response.output_text.delta' ? ev.delta : null);
+    if (typeof delta === 'string' && delta) { full += delta; onDelta(delta); }
+    if (ev.type === 'error') throw new Error(`${label}: ${ev.error?.message || ev.message || 'stream error'}`);
+  }
+  return full;
+}
+
+/**
+ * Structured call with validation: requests JSON-schema output, parses it, runs
+ * validate(value) -> string[] of problems, and on failure re-asks with a repair
+ * prompt (up to `retries` times). Never throws for bad model output or a failed
+ * call; returns { value, degraded, error } so callers can act conservatively.
+ * Nothing is logged: the last attempt's problems come back in `error`.
+ */
+async function llmJson(task, prompt, label, { schema, name, validate, retries = 1 }) {
+  let input = prompt;
+  let error = '';
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    let raw = '';
+    try { raw = await llmText(task, input, label, { schema, name }); }
+    catch (e) { return { value: null, degraded: true, error: /** @type {Error} */(e).message }; }
+
+    let value = null;
+    let problems = [];
+    try { value = JSON.parse(raw); problems = validate(value); }
+    catch (e) { problems = [`not valid JSON (${/** @type {Error} */(e).message})`]; }
+    if (!problems.length) return { value, degraded: false, error: null };
+
+    error = `${label}: invalid output — ${problems.slice(0, 5).join('; ')}`;
+    input = [
+      'Your previous answer did not match the required JSON schema.',
+      `Problems: ${problems.slice(0, 10).join('; ')}`,
+      '',
+      'Previous answer:',
+      String(raw).slice(0, 4000) || '(empty)',
+      '',
+      'Return ONLY a corrected JSON object that satisfies the schema. Original request follows.',
+      '',
+      prompt
+    ].join('\n');
+  }
+  return { value: null, degraded: true, error };
+}
+
+/** ---------- MOCK MODE ---------- */
+// MOCK=1 answers /session, /summary and /state from fixtures (MOCK_FIXTURES,
+// default fixtures/mock.json) so the client can run with no key and no network.
+const MOCK = /^(1|true|yes)$/i.test(process.env.MOCK || '');
+const MOCK_FIXTURES_FILE = process.env.MOCK_FIXTURES
+  ? path.resolve(process.env.MOCK_FIXTURES)
+  : path.join(__dirname, 'fixtures', 'mock.json');
+
+function loadMockFixtures() {
+  return JSON.parse(fs.readFileSync(MOCK_FIXTURES_FILE, 'utf8'));
+}
+
+// Fixtures are indexed by the number of user turns seen so far (clamped).
+function mockPick(list, userTurns) {
+  if (!Array.isArray(list) || !list.length) return null;
+  return list[Math.max(0, Math.min(userTurns | 0, list.length - 1))];
+}
+
+function userTurnCount(transcript) {
+  return (Array.isArray(transcript) ? transcript : []).filter(t => t?.role === 'user').length;
+}
+
 /**
  * Create an ephemeral Realtime session for VOICE (WebRTC).
  * Tools:
  *  - update_state(add/remove arrays)
+ *  - score_grid()
  *  - persist_session(note)
  */
+// update_state patch properties: one array per schema bucket. Adds to a fielded
+// bucket may send { text, ...fields } records; removes are always by text.
+function bucketProperties(forAdd) {
+  return Object.fromEntries(PERSPECTIVE.buckets.map(b => [b.key, {
+    type: 'array',
+    items: forAdd && b.fields.length ? { anyOf: [{ type: 'string' }, itemJsonSchema(b.key)] } : { type: 'string' },
+    ...(b.description ? { description: b.description } : {})
+  }]));
+}
+
 async function createEphemeralSession() {
-  if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set');
+  if (MOCK) return { mock: true, client_secret: null, base_url: null, model: 'mock-realtime', script: loadMockFixtures().script || {} };
+  const provider = providerFor('realtime');
 
   const body = {
-    model: 'gpt-realtime',
+    model: provider.model,
     modalities: ['audio', 'text'],
     voice: 'alloy',
     instructions: [
       'You are the Perspective Coach. Speak English (US).',
-      'Purpose: help the user clarify goals, facts, constraints, options, decisions, next steps, risks.',
+      `Purpose: help the user clarify their ${PERSPECTIVE.label}: ${PERSPECTIVE.buckets.map(b => b.label.toLowerCase()).join(', ')}.`,
       'When appropriate, call update_state with a small patch (add/remove arrays).',
+      ...PERSPECTIVE.buckets.filter(b => b.fields.length).map(b =>
+        `Items in ${b.key} may be objects { text, ${b.fields.map(f => f.name).join(', ')} }; fill what the user said (e.g. who and by when) and re-add an item with the same text to update its fields.`),
+      ...PERSPECTIVE.buckets.map(kindHint).filter(Boolean),
+      ...todayLine(),
+      'Before coaching starts, the client runs a Definition Gate: while it is open, call definition_greeter with what you learn and ask one short question at a time until the definition is complete.',
       'You may also call persist_session to save a durable snapshot; you will receive a session_id in the tool output.',
+      'When the user asks which option wins, for a ranking, or how robust the choice is, call score_grid and read its read_aloud text back briefly in your own words.',
       'Do NOT begin a new response unless the client sends response.create.',
       'After any tool use, continue speaking naturally and ask one targeted follow-up that best fills a gap.'
     ].join(' '),
@@ -56,36 +326,19 @@ async function createEphemeralSession() {
         parameters: {
           type: 'object',
           properties: {
-            add: {
-              type: 'object',
-              properties: {
-                goals: { type: 'array', items: { type: 'string' } },
-                facts: { type: 'array', items: { type: 'string' } },
-                questions: { type: 'array', items: { type: 'string' } },
-                options: { type: 'array', items: { type: 'string' } },
-                decisions: { type: 'array', items: { type: 'string' } },
-                next_steps: { type: 'array', items: { type: 'string' } },
-                risks: { type: 'array', items: { type: 'string' } }
-              },
-              additionalProperties: false
-            },
-            remove: {
-              type: 'object',
-              properties: {
-                goals: { type: 'array', items: { type: 'string' } },
-                facts: { type: 'array', items: { type: 'string' } },
-                questions: { type: 'array', items: { type: 'string' } },
-                options: { type: 'array', items: { type: 'string' } },
-                decisions: { type: 'array', items: { type: 'string' } },
-                next_steps: { type: 'array', items: { type: 'string' } },
-                risks: { type: 'array', items: { type: 'string' } }
-              },
-              additionalProperties: false
-            }
+            add: { type: 'object', properties: bucketProperties(true), additionalProperties: false },
+            remove: { type: 'object', properties: bucketProperties(false), additionalProperties: false }
           },
           additionalProperties: false
         }
       },
+      DEFINITION_TOOL,
+      {
+        type: 'function',
+        name: 'score_grid',
+        description: 'Score the decision grid: weighted ranking of options plus which criterion-importance changes would flip the top choice.',
+        parameters: { type: 'object', properties: {}, additionalProperties: false }
+      },
       {
         type: 'function',
         name: 'persist_session',
@@ -101,13 +354,9 @@ async function createEphemeralSession() {
     ]
   };
 
-  const res = await fetch('https://api.openai.com/v1/realtime/sessions', {
+  const res = await fetch(`${provider.base_url}/realtime/sessions`, {
     method: 'POST',
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-      'OpenAI-Beta': 'realtime=v1'
-    },
+    headers: { ...provider.headers, 'OpenAI-Beta': 'realtime=v1' },
     body: JSON.stringify(body)
   });
   if (!res.ok) {
@@ -117,105 +366,1212 @@ async function createEphemeralSession() {
   const j = await res.json();
   return {
     client_secret: j?.client_secret?.value || null,
-    base_url: 'https://api.openai.com/v1/realtime',
-    model: j?.model || 'gpt-realtime'
+    base_url: `${provider.base_url}/realtime`,
+    model: j?.model || provider.model
   };
 }
 
+/** ---------- ROLLING MEMORY ---------- */
+// Prompts keep the last RECENT_TURNS+ turns verbatim; everything older is fed
+// forward as compacted memory notes. Older turns are cut into fixed CHUNK_TURNS
+// chunks counted from the start (a full chunk never changes), each chunk is
+// summarized once, and every ROLLUP_FANOUT notes at one level are rolled up into
+// one note at the next level. Notes are cached by content hash under
+// DATA_DIR/memory/, so each is paid for only once; the most recently used
+// MEMORY_CACHE_SIZE of them are also kept in memory.
+const RECENT_TURNS = 30;
+const CHUNK_TURNS = 20;
+const ROLLUP_FANOUT = 5;
+const MEMORY_DIR = path.join(DATA_DIR, 'memory');
+const MEMORY_CACHE_SIZE = 200;
+const memoryNotes = new Map();   // hash -> Promise<string>, least recently used first
+
+function formatTurns(turns) {
+  return (Array.isArray(turns) ? turns : [])
+    .filter(t => t && typeof t.text === 'string')
+    .map(({ role, text }) => `${String(role || 'user').toUpperCase()}: ${text.replace(/\s+/g, ' ').trim()}`)
+    .join('\n');
+}
+
+function memoryNote(kind, text) {
+  const key = crypto.createHash('sha256').update(`${kind}\n${text}`).digest('hex').slice(0, 32);
+  const cached = memoryNotes.get(key);
+  if (cached) {
+    memoryNotes.delete(key);
+    memoryNotes.set(key, cached);
+    return cached;
+  }
+
+  const note = (async () => {
+    const file = path.join(MEMORY_DIR, `${key}.txt`);
+    try { return await fs.promises.readFile(file, 'utf8'); } catch {}
+    const prompt = [
+      kind === 'chunk'
+        ? 'Compress these conversation turns into a dense memory note for a coach who will not see them again.'
+        : 'Merge these consecutive memory notes (oldest first) into one dense memory note.',
+      'Keep every goal, fact, number, constraint, option, decision (and what was decided), next step, risk and open question.',
+      'Drop small talk. At most 8 short bullet lines. Output ONLY the bullets.',
+      '',
+      text
+    ].join('\n');
+    const out = (await llmText('memory', prompt, 'Memory compaction error')).trim();
+    await fs.promises.mkdir(MEMORY_DIR, { recursive: true });
+    await fs.promises.writeFile(file, out);
+    return out;
+  })();
+  memoryNotes.set(key, note);
+  if (memoryNotes.size > MEMORY_CACHE_SIZE) memoryNotes.delete(memoryNotes.keys().next().value);
+  note.catch(() => { if (memoryNotes.get(key) === note) memoryNotes.delete(key); });
+  return note;
+}
+
+/**
+ * Split a transcript into compacted memory notes (oldest first) and the recent
+ * turns that are still sent verbatim. Short transcripts have no notes.
+ */
+async function rollingContext(transcript) {
+  const turns = (Array.isArray(transcript) ? transcript : []).filter(t => t && typeof t.text === 'string');
+  const compactable = Math.max(0, Math.floor((turns.length - RECENT_TURNS) / CHUNK_TURNS) * CHUNK_TURNS);
+  const recent = turns.slice(compactable);
+
+  const chunks = [];
+  for (let i = 0; i < compactable; i += CHUNK_TURNS) chunks.push(formatTurns(turns.slice(i, i + CHUNK_TURNS)));
+  let level = await Promise.all(chunks.map(c => memoryNote('chunk', c)));
+
+  // Leftovers at each level are newer than anything rolled up above them.
+  let notes = [];
+  while (level.length >= ROLLUP_FANOUT) {
+    const full = Math.floor(level.length / ROLLUP_FANOUT) * ROLLUP_FANOUT;
+    const groups = [];
+    for (let i = 0; i < full; i += ROLLUP_FANOUT) groups.push(level.slice(i, i + ROLLUP_FANOUT).join('\n\n'));
+    notes = level.slice(full).concat(notes);
+    level = await Promise.all(groups.map(g => memoryNote('rollup', g)));
+  }
+  return { notes: level.concat(notes), recent };
+}
+
+// Prompt lines for a transcript: compacted memory (if any) + recent turns.
+async function transcriptBlock(transcript) {
+  const { notes, recent } = await rollingContext(transcript);
+  return [
+    ...(notes.length
+      ? ['Earlier in the conversation (compacted memory, oldest first; still relevant):', ...notes, '']
+      : []),
+    'Transcript (most recent last):',
+    formatTurns(recent) || '(no prior turns)'
+  ];
+}
+
+/** ---------- DEFINITION PACK ---------- */
+// What the Definition Gate collects before coaching starts. The realtime
+// definition_greeter tool fills it during the opening exchange, the client's form
+// (built from GET /schema) validates it, and the summarizer, extractor and analyzer
+// prompts are framed by it. Function names can't contain dots, hence the underscore.
+const DEFINITION_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', description: 'the decision being made, as a short title' },
+    scope: { type: 'string', description: 'what is in and out of scope' },
+    time_window: { type: 'string', description: 'when the decision has to be made' },
+    participants: { type: 'array', items: { type: 'string' }, description: 'people involved in the decision' },
+    axes: { type: 'array', items: { type: 'string' }, description: 'key axes or criteria to compare options on' }
+  },
+  required: ['title', 'scope', 'time_window']
+};
+
+const DEFINITION_TOOL = {
+  type: 'function',
+  name: 'definition_greeter',
+  description: 'Record the decision definition while setting it up with the user. Call with the fields known so far; set status "complete" once the required ones are known.',
+  parameters: {
+    type: 'object',
+    properties: {
+      ...DEFINITION_SCHEMA.properties,
+      status: { type: 'string', enum: ['collecting', 'complete'], description: `"complete" once ${DEFINITION_SCHEMA.required.join(', ')} are known` }
+    },
+    required: ['status'],
+    additionalProperties: false
+  }
+};
+
+// Prompt lines for the accepted pack; older sessions may hold a plain-text definition.
+function definitionLines(def) {
+  if (typeof def === 'string') return def.trim() ? [`Decision definition: ${def.trim()}`] : [];
+  if (!def || typeof def !== 'object') return [];
+  const lines = Object.keys(DEFINITION_SCHEMA.properties)
+    .map(k => [k, Array.isArray(def[k]) ? def[k].filter(Boolean).join(', ') : def[k]])
+    .filter(([, v]) => typeof v === 'string' && v.trim())
+    .map(([k, v]) => `- ${k.replace(/_/g, ' ')}: ${v.trim()}`);
+  return lines.length ? ['Decision definition (keep the output focused on it):', ...lines] : [];
+}
+
 /** ---------- SUMMARY ENGINE ---------- */
+// Output shapes for the `style` parameter; one_liner is the original behaviour.
+const SUMMARY_STYLES = {
+  one_liner: 'Return ONE updated summary (1–2 sentences) of the conversation so far.',
+  bullets: 'Return a bullet brief of the conversation so far: 3–6 short lines, each starting with "- ".',
+  executive: [
+    'Return an executive summary of the conversation so far: a one-sentence bottom line first,',
+    'then short labelled lines for Context, Options, Decision/Recommendation, Next steps and Risks (omit empty ones).'
+  ].join(' '),
+  minutes: [
+    'Return meeting minutes of the conversation so far, with these headings on their own lines:',
+    'Discussion, Decisions, Action items (owner — task — due, when known), Open questions. Use "- " bullets under each; write "- none" for empty sections.'
+  ].join(' ')
+};
+
+// Instruction lines for { style, max_words }; unknown styles fall back to one_liner.
+function summaryStyleLines(payload) {
+  const style = SUMMARY_STYLES[payload?.style] ? payload.style : 'one_liner';
+  const maxWords = Number(payload?.max_words) > 0 ? Math.floor(Number(payload.max_words)) : 0;
+  return [SUMMARY_STYLES[style], ...(maxWords ? [`Hard limit: at most ${maxWords} words.`] : [])];
+}
+
+// Mock mode has one canned string per turn; reshape it so the style switch is visible offline.
+function mockStyled(text, payload) {
+  let out = String(text || '');
+  if (payload?.style === 'bullets' || payload?.style === 'minutes') {
+    out = out.split(/(?<=[.;])\s+/).map(x => `- ${x.replace(/[.;]$/, '')}`).join('\n');
+    if (payload.style === 'minutes') out = `Discussion\n${out}`;
+  }
+  const maxWords = Number(payload?.max_words) > 0 ? Math.floor(Number(payload.max_words)) : 0;
+  if (maxWords) {
+    const words = out.split(/(?<=\s)/);
+    if (words.filter(w => w.trim()).length > maxWords) out = `${words.slice(0, maxWords).join('').trim()}…`;
+  }
+  return out;
+}
+
 async function summarize(payload) {
-  if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set');
+  if (MOCK) return { summary: mockStyled(mockPick(loadMockFixtures().summaries, userTurnCount(payload?.transcript)), payload) };
 
-  const { transcript = [], partial = '', mode = 'final' } = payload || {};
-  const lines = transcript
-    .slice(-30)
-    .map(({ role, text }) => `${role.toUpperCase()}: ${text.replace(/\s+/g, ' ').trim()}`)
-    .join('\n');
+  const text = await llmText('summary', await summaryPrompt(payload), 'Summarizer error');
+  return { summary: (text || '').trim() };
+}
 
-  const prompt = [
+/**
+ * Same as summarize(), but forwards token deltas to the client as SSE:
+ *   event: delta  data: { "delta": "..." }
+ *   event: done   data: { "summary": "..." }
+ *   event: error  data: { "error": "..." }
+ * Upstream is aborted when the client goes away (e.g. superseded by a newer turn).
+ */
+async function streamSummary(payload, res) {
+  const ac = new AbortController();
+  res.on('close', () => ac.abort());
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (event, data) => { if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+
+  try {
+    let text = '';
+    if (MOCK) {
+      const words = mockStyled(mockPick(loadMockFixtures().summaries, userTurnCount(payload?.transcript)), payload).split(/(?<=\s)/);
+      for (const w of words) {
+        if (ac.signal.aborted) return;
+        text += w; send('delta', { delta: w });
+        await new Promise(r => setTimeout(r, 25));
+      }
+    } else {
+      text = await llmStream('summary', await summaryPrompt(payload), 'Summarizer error', d => send('delta', { delta: d }), ac.signal);
+    }
+    send('done', { summary: text.trim() });
+  } catch (e) {
+    if (!ac.signal.aborted) send('error', { error: /** @type {Error} */(e).message });
+  } finally {
+    res.end();
+  }
+}
+
+async function summaryPrompt(payload) {
+  const { transcript = [], partial = '', mode = 'final' } = payload || {};
+  return [
     'You are a real-time conversation summarizer.',
-    'Return ONE updated summary (1–2 sentences) of the conversation so far.',
+    ...summaryStyleLines(payload),
     'Capture intent, decisions, constraints, and next steps; avoid parroting.',
+    ...definitionLines(payload?.definition),
     mode === 'live'
       ? 'A partial, in-progress user utterance may be included; integrate it cautiously.'
       : 'This is a definitive post-turn refresh; include the latest assistant reply.',
     '',
-    'Transcript (most recent last):',
-    lines || '(no prior turns)',
+    ...(await transcriptBlock(transcript)),
     partial ? `\nPartial user utterance: ${partial.replace(/\s+/g, ' ').trim()}` : '',
     '',
-    'Output: ONLY the updated summary as plain text.'
+    'Output: ONLY the updated summary as plain text (bullet lines and headings allowed where the format asks for them).'
   ].join('\n');
+}
 
-  const res = await fetch('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model: 'gpt-4o-mini', input: prompt })
+/** ---------- STATE SCHEMA ---------- */
+// The Perspective State buckets are defined once, in config/schemas/<name>.json
+// (PERSPECTIVE_SCHEMA=<name or path>, default "default"). The update_state tool,
+// extractor, analyzer, reports and the client (via GET /schema) all derive from it.
+// Shape: { name, label, buckets: [{ key, label, description, kind?, fields? }] }
+// A bucket with fields holds records: items stay short strings, and each item's
+// field values travel alongside as "details" ({ bucket: [{ text, ...fields }] }).
+// kind "tasks" marks the bucket exported by POST /tasks; kind "risks" (likelihood / impact
+// enums + mitigation) is drawn as a heat map and drives the coach's risk follow-ups.
+// kind "questions" (status open|answered + an answer ref) tracks when a question gets answered.
+// kind "notes" receives the client's local push-to-talk nudge (raw phrases of the user's turn).
+// kind "options" receives the options the user accepts from the decision grid, and its items are
+// offered back to the grid as proposals.
+// A "ref" field holds the text of an item in the buckets it lists (e.g. a risk's option).
+const SCHEMA_DIR = path.join(__dirname, 'config', 'schemas');
+const BUCKET_KEY_RE = /^[a-z][a-z0-9_]{0,31}$/;
+const FIELD_TYPES = ['string', 'date', 'number', 'enum', 'ref'];
+
+function normalizeFields(list, where) {
+  return (Array.isArray(list) ? list : []).map(f => {
+    if (!BUCKET_KEY_RE.test(f?.name || '') || f.name === 'text') throw new Error(`${where}: invalid field name ${JSON.stringify(f?.name)}`);
+    if (!FIELD_TYPES.includes(f.type)) throw new Error(`${where}.${f.name}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    if (f.type === 'enum' && !(Array.isArray(f.values) && f.values.length && f.values.every(v => typeof v === 'string'))) {
+      throw new Error(`${where}.${f.name}: enum fields need a "values" list`);
+    }
+    if (f.type === 'ref' && !(Array.isArray(f.ref) && f.ref.length && f.ref.every(k => typeof k === 'string'))) {
+      throw new Error(`${where}.${f.name}: ref fields need a "ref" list of bucket keys`);
+    }
+    return {
+      name: f.name,
+      type: f.type,
+      label: typeof f.label === 'string' && f.label.trim() ? f.label.trim() : f.name.replace(/_/g, ' '),
+      description: typeof f.description === 'string' ? f.description.trim() : '',
+      ...(f.type === 'enum' ? { values: f.values } : {}),
+      ...(f.type === 'ref' ? { ref: f.ref } : {}),
+      ...(f.default !== undefined ? { default: f.default } : {})
+    };
   });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`Summarizer error: ${res.status} ${res.statusText} — ${txt}`);
-  }
-  const data = await res.json();
-  let text = '';
-  if (Array.isArray(data.output_text)) text = data.output_text.join('');
-  else if (typeof data.output_text === 'string') text = data.output_text;
-  else if (data.output?.[0]?.content?.[0]?.text) text = data.output[0].content[0].text;
-  else if (data.content?.[0]?.text) text = data.content[0].text;
-  else if (typeof data.text === 'string') text = data.text;
-  return { summary: (text || '').trim() };
+}
+
+function loadStateSchema() {
+  const ref = process.env.PERSPECTIVE_SCHEMA || 'default';
+  const file = /[\\/]|\.json$/.test(ref) ? path.resolve(ref) : path.join(SCHEMA_DIR, `${ref}.json`);
+  const j = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const seen = new Set();
+  const buckets = (Array.isArray(j.buckets) ? j.buckets : []).map(b => {
+    if (!BUCKET_KEY_RE.test(b?.key || '')) throw new Error(`${file}: invalid bucket key ${JSON.stringify(b?.key)}`);
+    if (seen.has(b.key)) throw new Error(`${file}: duplicate bucket key "${b.key}"`);
+    seen.add(b.key);
+    return {
+      key: b.key,
+      label: typeof b.label === 'string' && b.label.trim() ? b.label.trim() : b.key.replace(/_/g, ' '),
+      description: typeof b.description === 'string' ? b.description.trim() : '',
+      kind: typeof b.kind === 'string' ? b.kind : null,
+      fields: normalizeFields(b.fields, `${file}: ${b.key}`)
+    };
+  });
+  if (!buckets.length) throw new Error(`${file}: schema has no buckets`);
+  for (const b of buckets) {
+    for (const f of b.fields.filter(x => x.type === 'ref')) {
+      const missing = f.ref.find(k => !seen.has(k));
+      if (missing) throw new Error(`${file}: ${b.key}.${f.name} refers to unknown bucket "${missing}"`);
+    }
+  }
+  return { name: j.name || path.basename(file, '.json'), label: j.label || 'Perspective State', buckets };
+}
+
+const PERSPECTIVE = loadStateSchema();
+const STATE_BUCKETS = PERSPECTIVE.buckets.map(b => b.key);
+const BUCKET_LABELS = Object.fromEntries(PERSPECTIVE.buckets.map(b => [b.key, b.label]));
+const FIELDED = Object.fromEntries(PERSPECTIVE.buckets.filter(b => b.fields.length).map(b => [b.key, b.fields]));
+
+function fieldHint(f) {
+  const shape = f.type === 'enum' ? f.values.join('|')
+    : f.type === 'date' ? 'YYYY-MM-DD'
+    : f.type === 'ref' ? `exact text of an item in ${f.ref.join(' or ')}`
+    : f.type;
+  return `${f.name} (${shape})${f.description ? `: ${f.description}` : ''}`;
+}
+
+// Extra instructions for buckets of a known kind, shared by the prompts and the coach.
+function kindHint(b) {
+  if (b.kind === 'questions') {
+    const answer = b.fields.find(f => f.name === 'answer' && f.type === 'ref');
+    return `When a later turn answers a question in ${b.key}, keep the question, set its status to "answered"${answer ? ` and its answer to the exact text of the answering item in ${answer.ref.join(' or ')} (add that item there too)` : ''}.`;
+  }
+  return null;
+}
+
+// How a bucket's items look, for the line that introduces bucketPromptLines().
+function bucketShapeText() {
+  return Object.keys(FIELDED).length
+    ? 'one array per key; items are short strings unless the key lists record fields below'
+    : 'one array of short strings per key';
+}
+
+// "- key (Label): description" lines for prompts; fielded buckets also list their record fields.
+function bucketPromptLines() {
+  return PERSPECTIVE.buckets.map(b => [
+    `- ${b.key} (${b.label})${b.description ? `: ${b.description}` : ''}`,
+    ...(b.fields.length
+      ? [`  items are objects { text, ${b.fields.map(fieldHint).join(', ')} }; use null for anything not said.`]
+      : []),
+    ...(kindHint(b) ? [`  ${kindHint(b)}`] : [])
+  ].join('\n'));
+}
+
+// Relative dates ("by Friday") need an anchor.
+function todayLine() {
+  if (!Object.values(FIELDED).some(fields => fields.some(f => f.type === 'date'))) return [];
+  const d = new Date();
+  return [`Today is ${d.toISOString().slice(0, 10)} (${d.toLocaleDateString('en-US', { weekday: 'long' })}); resolve relative dates against it.`];
+}
+
+function fieldJsonSchema(f) {
+  if (f.type === 'number') return { type: ['number', 'null'] };
+  if (f.type === 'enum') return { type: ['string', 'null'], enum: [...f.values, null] };
+  return { type: ['string', 'null'] };
+}
+
+// JSON schema for one bucket item: a string, or a { text, ...fields } record for fielded buckets.
+function itemJsonSchema(key) {
+  const fields = FIELDED[key];
+  if (!fields) return { type: 'string' };
+  return {
+    type: 'object',
+    properties: { text: { type: 'string' }, ...Object.fromEntries(fields.map(f => [f.name, fieldJsonSchema(f)])) },
+    required: ['text', ...fields.map(f => f.name)],
+    additionalProperties: false
+  };
+}
+
+function itemText(v) {
+  return typeof v === 'string' ? v : (v && typeof v.text === 'string' ? v.text : null);
+}
+
+function cleanFieldValue(f, v) {
+  if (v === null || v === undefined || v === '') return null;
+  if (f.type === 'number') { const n = Number(v); return Number.isFinite(n) ? n : null; }
+  if (f.type === 'enum') return f.values.includes(v) ? v : null;
+  return typeof v === 'string' ? v.trim().slice(0, 200) || null : null;
+}
+
+/**
+ * Pull field values out of record items: { bucket: [{ text, ...fields }] }.
+ * Records without any known field value are left out.
+ */
+function stateDetails(state) {
+  const out = {};
+  for (const [key, fields] of Object.entries(FIELDED)) {
+    const recs = [];
+    for (const v of Array.isArray(state?.[key]) ? state[key] : []) {
+      const text = itemText(v);
+      if (!text || typeof v !== 'object') continue;
+      const rec = { text };
+      for (const f of fields) { const x = cleanFieldValue(f, v[f.name]); if (x !== null) rec[f.name] = x; }
+      if (Object.keys(rec).length > 1) recs.push(rec);
+    }
+    if (recs.length) out[key] = recs;
+  }
+  return out;
+}
+
+// Inverse of normalizeState + stateDetails: records for fielded buckets (used in prompts and exports).
+function withDetails(state, details) {
+  const out = {};
+  for (const key of STATE_BUCKETS) {
+    const items = Array.isArray(state?.[key]) ? state[key] : [];
+    if (!FIELDED[key]) { out[key] = items; continue; }
+    const byText = new Map((Array.isArray(details?.[key]) ? details[key] : []).filter(r => r && typeof r === 'object').map(r => [String(r.text || '').trim().toLowerCase(), r]));
+    out[key] = items.map(text => {
+      const r = byText.get(String(text).trim().toLowerCase()) || {};
+      return { text, ...Object.fromEntries(FIELDED[key].map(f => [f.name, cleanFieldValue(f, r[f.name])])) };
+    });
+  }
+  return out;
 }
 
 /** ---------- STATE EXTRACTOR ---------- */
+const STATE_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(STATE_BUCKETS.map(k => [k, { type: 'array', items: itemJsonSchema(k) }])),
+  required: STATE_BUCKETS,
+  additionalProperties: false
+};
+
+// Check a value against STATE_SCHEMA; returns a list of problems (empty = valid).
+function validateState(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return ['state must be a JSON object'];
+  const problems = [];
+  for (const k of STATE_BUCKETS) {
+    if (!(k in v)) problems.push(`missing key "${k}"`);
+    else if (!Array.isArray(v[k])) problems.push(`"${k}" must be an array`);
+    else if (!FIELDED[k] && v[k].some(x => typeof x !== 'string')) problems.push(`"${k}" must contain only strings`);
+    else if (FIELDED[k] && v[k].some(x => itemText(x) === null)) problems.push(`"${k}" items must be strings or objects with a "text" string`);
+  }
+  for (const k of Object.keys(v)) if (!STATE_BUCKETS.includes(k)) problems.push(`unexpected key "${k}"`);
+  return problems;
+}
+
+/**
+ * Returns { state, details, degraded, error? }. When degraded is true the state is empty
+ * and must not be used to remove existing items.
+ */
 async function extractState(payload) {
-  if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set');
+  if (MOCK) {
+    const raw = mockPick(loadMockFixtures().states, userTurnCount(payload?.transcript)) || {};
+    return { state: normalizeState(raw), details: stateDetails(raw), degraded: false };
+  }
 
   const { transcript = [], partial = '', mode = 'final' } = payload || {};
-  const lines = transcript
-    .slice(-30)
-    .map(({ role, text }) => `${role.toUpperCase()}: ${text.replace(/\s+/g, ' ').trim()}`)
-    .join('\n');
 
   const prompt = [
-    'Extract a compact "Perspective State" JSON from the conversation.',
-    'Keys: goals, facts, questions, options, decisions, next_steps, risks. Each is an array of short strings.',
+    `Extract a compact "${PERSPECTIVE.label}" JSON from the conversation.`,
+    `Keys (${bucketShapeText()}):`,
+    ...bucketPromptLines(),
+    ...todayLine(),
+    ...definitionLines(payload?.definition),
     mode === 'live'
       ? 'Partial user utterance may be present; include cautiously (no quotes).'
-      : 'Definitive refresh; collapse repetition.',
+      : 'Definitive refresh; collapse repetition. Keep items from the compacted memory unless later turns retract them.',
     '',
-    'Transcript (most recent last):',
-    lines || '(no prior turns)',
+    ...(await transcriptBlock(transcript)),
     partial ? `\nPartial user utterance: ${partial.replace(/\s+/g, ' ').trim()}` : ''
   ].join('\n');
 
-  const res = await fetch('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model: 'gpt-4o-mini', input: prompt })
+  const out = await llmJson('state', prompt, 'State extractor error', {
+    schema: STATE_SCHEMA, name: 'perspective_state', validate: validateState, retries: STATE_REPAIR_RETRIES
   });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`State extractor error: ${res.status} ${res.statusText} — ${txt}`);
+  if (out.degraded) return { state: normalizeState({}), details: {}, degraded: true, error: out.error };
+  return { state: normalizeState(out.value), details: stateDetails(out.value), degraded: false };
+}
+
+// Bucket -> array of item strings (records collapse to their text).
+function normalizeState(state) {
+  const out = {};
+  for (const k of STATE_BUCKETS) {
+    out[k] = Array.isArray(state?.[k]) ? state[k].map(itemText).filter(v => typeof v === 'string').slice(0, 12) : [];
   }
-  const data = await res.json();
-  let raw = '';
-  if (Array.isArray(data.output_text)) raw = data.output_text.join('');
-  else if (typeof data.output_text === 'string') raw = data.output_text;
-  else if (data.output?.[0]?.content?.[0]?.text) raw = data.output[0].content[0].text;
-  else if (data.content?.[0]?.text) raw = data.content[0].text;
-  else if (typeof data.text === 'string') raw = data.text;
+  return out;
+}
+
+/** ---------- GRID EXTRACTOR ---------- */
+// Domain-agnostic decision-grid proposals. The same item schema is used by
+// POST /grid and by the grid_proposals part of /analyze.
+const GRID_PROPOSAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['add_option', 'add_criterion', 'set_cell'] },
+    option: { type: ['string', 'null'] },
+    criterion: { type: ['string', 'null'] },
+    weight: { type: ['number', 'null'] },
+    conf: { type: ['number', 'null'] },
+    rationale: { type: ['string', 'null'] },
+    quote: { type: ['string', 'null'] }
+  },
+  required: ['type', 'option', 'criterion', 'weight', 'conf', 'rationale', 'quote'],
+  additionalProperties: false
+};
+
+const GRID_SCHEMA = {
+  type: 'object',
+  properties: { proposals: { type: 'array', items: GRID_PROPOSAL_SCHEMA } },
+  required: ['proposals'],
+  additionalProperties: false
+};
+
+function validateGrid(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return ['output must be a JSON object'];
+  return Array.isArray(v.proposals) ? [] : ['"proposals" must be an array'];
+}
+
+function knownGrid(grid) {
+  return {
+    options: Array.isArray(grid?.options) ? grid.options.filter(v => typeof v === 'string') : [],
+    criteria: Array.isArray(grid?.criteria) ? grid.criteria.filter(v => typeof v === 'string') : []
+  };
+}
+
+// Prompt lines shared by /grid and /analyze.
+function gridRuleLines(known) {
+  return [
+    'Decision-grid rules (any domain: hiring, vendors, tech stacks, housing, ...):',
+    '- add_option for each concrete alternative being chosen between that is not already known.',
+    '- add_criterion for each dimension the alternatives are judged on (e.g. cost, experience, latency) that is not already known.',
+    '  Reuse the known names verbatim when the speaker means the same thing.',
+    '- set_cell for each judgment of ONE option on ONE criterion: weight −100..+100 (positive = favourable for that option),',
+    '  conf 0..1, a short rationale, and quote = the exact words from a user turn that support it (verbatim, ≤ 20 words).',
+    '  Attribute the cell to the option the speaker is talking about, never to whichever option was mentioned first;',
+    '  a comparison ("A is cheaper than B") yields one cell per option.',
+    '- Only propose what the user actually said; skip anything already captured. Use null for fields that do not apply.',
+    `Known grid options: ${JSON.stringify(known.options)}`,
+    `Known grid criteria: ${JSON.stringify(known.criteria)}`
+  ];
+}
 
-  let state = { goals:[], facts:[], questions:[], options:[], decisions:[], next_steps:[], risks:[] };
-  try { state = JSON.parse(raw); }
-  catch {
-    const i = raw.indexOf('{'); const j = raw.lastIndexOf('}');
-    if (i !== -1 && j !== -1 && j > i) { try { state = JSON.parse(raw.slice(i, j + 1)); } catch {} }
+// Map a model-provided name onto a known one: same words ignoring case and a
+// leading article, or an unambiguous match on the known name's trailing whole words
+// ("the loft" -> "Downtown loft"). Prefixes and partial words stay new options, so
+// "React" is not "React Native" and "Java" is not "JavaScript".
+function canonicalName(name, known) {
+  const bare = n => n.toLowerCase().replace(/^(the|a|an)\s+/, '').replace(/\s+/g, ' ').trim();
+  const k = bare(name);
+  const exact = known.find(n => bare(n) === k);
+  if (exact) return exact;
+  if (!k) return name;
+  const near = known.filter(n => bare(n).endsWith(` ${k}`));
+  return near.length === 1 ? near[0] : name;
+}
+
+/**
+ * Clean up model proposals: drop incomplete ones, snap names onto known
+ * options/criteria, clamp numbers, and keep a quote only if it really occurs
+ * in the user turns (userText).
+ */
+function normalizeProposals(list, { known = { options: [], criteria: [] }, userText = '', source = 'analyzer' } = {}) {
+  const squash = t => String(t || '').toLowerCase().replace(/[^\p{L}\p{N}$%]+/gu, ' ').trim();
+  const haystack = squash(userText);
+  const out = [];
+  for (const p of Array.isArray(list) ? list : []) {
+    if (!p || !['add_option', 'add_criterion', 'set_cell'].includes(p.type)) continue;
+    const option = typeof p.option === 'string' ? canonicalName(p.option.trim(), known.options) : '';
+    const criterion = typeof p.criterion === 'string' ? canonicalName(p.criterion.trim(), known.criteria) : '';
+    if (p.type === 'add_option' && !option) continue;
+    if (p.type === 'add_criterion' && !criterion) continue;
+    if (p.type === 'set_cell' && (!option || !criterion)) continue;
+    const q = { type: p.type, source };
+    if (option) q.option = option;
+    if (criterion) q.criterion = criterion;
+    if (p.type === 'set_cell') {
+      q.weight = Math.max(-100, Math.min(100, Number(p.weight) || 0));
+      q.conf = Math.max(0, Math.min(1, Number(p.conf ?? 0.6)));
+    }
+    if (typeof p.rationale === 'string' && p.rationale.trim()) q.rationale = p.rationale.trim();
+    const quote = typeof p.quote === 'string' ? p.quote.trim().replace(/^["“]|["”]$/g, '') : '';
+    if (quote && squash(quote) && haystack.includes(squash(quote))) q.quote = quote;
+    out.push(q);
   }
-  for (const k of ['goals','facts','questions','options','decisions','next_steps','risks']) {
-    if (!Array.isArray(state[k])) state[k] = [];
-    state[k] = state[k].filter(v => typeof v === 'string').slice(0, 12);
+  return out.slice(0, 20);
+}
+
+function userTextOf(turns) {
+  return (Array.isArray(turns) ? turns : []).filter(t => t?.role === 'user').map(t => String(t.text || '')).join('\n');
+}
+
+/**
+ * Body: { transcript: [...turns], grid?: { options, criteria }, user_turns?: number }
+ * Returns { proposals, degraded, error? }. Judgments are read from the last
+ * few user turns; older ones were already proposed on earlier calls.
+ */
+async function extractGrid(payload) {
+  const { transcript = [] } = payload || {};
+  const known = knownGrid(payload?.grid);   // tolerates a missing or null grid
+  const recent = (Array.isArray(transcript) ? transcript : []).slice(-6);
+
+  if (MOCK) {
+    const n = Number.isFinite(Number(payload?.user_turns)) ? Number(payload.user_turns) : userTurnCount(transcript);
+    return { proposals: normalizeProposals(mockPick(loadMockFixtures().grids, n) || [], { known, userText: userTextOf(transcript), source: 'grid' }), degraded: false };
   }
-  return { state };
+
+  const prompt = [
+    'Propose decision-grid changes from the latest turns of a coaching conversation.',
+    'Return JSON: { "proposals": [ ... ] }.',
+    ...gridRuleLines(known),
+    '',
+    'Latest turns (most recent last):',
+    formatTurns(recent) || '(none)'
+  ].join('\n');
+
+  const out = await llmJson('grid', prompt, 'Grid extractor error', {
+    schema: GRID_SCHEMA, name: 'grid_proposals', validate: validateGrid, retries: STATE_REPAIR_RETRIES
+  });
+  if (out.degraded) return { proposals: [], degraded: true, error: out.error };
+  return { proposals: normalizeProposals(out.value.proposals, { known, userText: userTextOf(recent), source: 'grid' }), degraded: false };
+}
+
+/** ---------- TURN ANALYZER ---------- */
+// One structured-output call per finalized turn: summary + full Perspective State
+// + grid proposals. Accepts either the full transcript, or an incremental payload
+// (previous summary/state + only the turns since the last analysis).
+const ANALYZE_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    state: STATE_SCHEMA,
+    grid_proposals: { type: 'array', items: GRID_PROPOSAL_SCHEMA }
+  },
+  required: ['summary', 'state', 'grid_proposals'],
+  additionalProperties: false
+};
+
+function validateAnalysis(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return ['output must be a JSON object'];
+  const problems = [];
+  if (typeof v.summary !== 'string') problems.push('"summary" must be a string');
+  problems.push(...validateState(v.state).map(p => `state: ${p}`));
+  if (!Array.isArray(v.grid_proposals)) problems.push('"grid_proposals" must be an array');
+  return problems;
+}
+
+async function analyzePrompt(payload, known) {
+  const { previous = null, turns = null, transcript = [], mode = 'final' } = payload || {};
+  const incremental = !!previous && Array.isArray(turns);
+  return [
+    'You maintain three views of a live coaching conversation and return them as one JSON object.',
+    `1) summary: capturing intent, decisions, constraints and next steps; avoid parroting. Format: ${summaryStyleLines(payload).join(' ')}`,
+    `2) state: the complete "${PERSPECTIVE.label}", ${bucketShapeText()}. Collapse repetition; drop items the conversation has contradicted or retracted.`,
+    ...bucketPromptLines().map(l => `   ${l}`),
+    ...todayLine(),
+    '3) grid_proposals: NEW decision-grid changes from the new turns only.',
+    ...gridRuleLines(known),
+    ...definitionLines(payload?.definition),
+    mode === 'live'
+      ? 'A partial, in-progress user utterance may be included; integrate it cautiously.'
+      : 'This is a definitive post-turn refresh; include the latest assistant reply.',
+    '',
+    ...(incremental
+      ? [
+          'Previous summary:', String(previous.summary || '(none)'),
+          '',
+          'Previous state JSON:', JSON.stringify(withDetails(normalizeState(previous.state), previous.details)),
+          '',
+          'New turns since then (most recent last):',
+          formatTurns(turns) || '(no new turns)'
+        ]
+      : await transcriptBlock(transcript))
+  ].join('\n');
+}
+
+function analysisResult(out, payload, known) {
+  const { previous = null, turns = null, transcript = [] } = payload || {};
+  const incremental = !!previous && Array.isArray(turns);
+  return {
+    summary: typeof out.summary === 'string' ? out.summary.trim() : '',
+    state: normalizeState(out.state),
+    details: stateDetails(out.state),
+    grid_proposals: normalizeProposals(out.grid_proposals, { known, userText: userTextOf(incremental ? turns : transcript) })
+  };
+}
+
+/**
+ * Body: { previous?: { summary, state, details? }, turns?: [...new turns], transcript?: [...all turns],
+ *         grid?: { options, criteria }, mode?: 'final'|'live', user_turns?: number,
+ *         style?: one_liner|bullets|executive|minutes, max_words?: number }
+ * Returns { summary, state, details, grid_proposals }.
+ */
+async function analyzeTurn(payload) {
+  const known = knownGrid(payload?.grid);
+  if (MOCK) return mockAnalyze(payload, known);
+
+  const res = await llmJson('analyze', await analyzePrompt(payload, known), 'Analyzer error', {
+    schema: ANALYZE_SCHEMA, name: 'turn_analysis', validate: validateAnalysis, retries: STATE_REPAIR_RETRIES
+  });
+  if (res.degraded) throw new Error(res.error || 'Analyzer error');   // client falls back to /state + /summary
+  return analysisResult(res.value, payload, known);
+}
+
+// Incrementally decode one string field of a JSON object as it streams in, calling
+// onText with each decoded piece. The summary is the first property of the analysis,
+// so it can be shown while state and grid proposals are still being written.
+function jsonStringFieldStream(field, onText) {
+  const ESC = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+  const key = new RegExp(`"${field}"\\s*:\\s*"`);
+  let buf = '', pos = -1, done = false;
+  return chunk => {
+    if (done) return;
+    buf += chunk;
+    if (pos < 0) {
+      const m = key.exec(buf);
+      if (!m) return;
+      pos = m.index + m[0].length;
+    }
+    let out = '';
+    while (pos < buf.length) {
+      const c = buf[pos];
+      if (c === '"') { done = true; break; }
+      if (c !== '\\') { out += c; pos++; continue; }
+      const e = buf[pos + 1];
+      if (e === undefined) break;                       // escape split across chunks
+      if (e === 'u') {
+        if (pos + 6 > buf.length) break;
+        out += String.fromCharCode(parseInt(buf.slice(pos + 2, pos + 6), 16)); pos += 6; continue;
+      }
+      out += ESC[e] ?? e; pos += 2;
+    }
+    if (out) onText(out);
+  };
+}
+
+/**
+ * Same as analyzeTurn(), but streams the summary part as it is generated:
+ *   event: delta  data: { "delta": "..." }          (summary text)
+ *   event: done   data: { summary, state, details, grid_proposals }
+ *   event: error  data: { "error": "..." }
+ * Output that fails validation goes through analyzeTurn()'s repair path before "done".
+ */
+async function streamAnalysis(payload, res) {
+  const ac = new AbortController();
+  res.on('close', () => ac.abort());
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (event, data) => { if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+  const known = knownGrid(payload?.grid);
+
+  try {
+    let out;
+    if (MOCK) {
+      out = mockAnalyze(payload, known);
+      for (const w of out.summary.split(/(?<=\s)/)) {
+        if (ac.signal.aborted) return;
+        send('delta', { delta: w });
+        await new Promise(r => setTimeout(r, 25));
+      }
+    } else {
+      const onChunk = jsonStringFieldStream('summary', d => send('delta', { delta: d }));
+      const raw = await llmStream('analyze', await analyzePrompt(payload, known), 'Analyzer error', onChunk, ac.signal,
+        { schema: ANALYZE_SCHEMA, name: 'turn_analysis' });
+      let value = null;
+      try { value = JSON.parse(raw); } catch { value = null; }
+      out = value && !validateAnalysis(value).length ? analysisResult(value, payload, known) : await analyzeTurn(payload);
+    }
+    send('done', out);
+  } catch (e) {
+    if (!ac.signal.aborted) send('error', { error: /** @type {Error} */(e).message });
+  } finally {
+    res.end();
+  }
+}
+
+function mockAnalyze(payload, known) {
+  const fx = loadMockFixtures();
+  // Incremental payloads only carry new turns, so prefer the client's running count.
+  const n = Number.isFinite(Number(payload?.user_turns)) ? Number(payload.user_turns) : userTurnCount(payload?.transcript);
+  const raw = mockPick(fx.states, n) || {};
+  const userText = userTextOf(payload?.turns || payload?.transcript);
+  return {
+    summary: mockStyled(mockPick(fx.summaries, n), payload),
+    state: normalizeState(raw),
+    details: stateDetails(raw),
+    grid_proposals: normalizeProposals(mockPick(fx.grids, n) || [], { known, userText })
+  };
+}
+
+/** ---------- SESSION STORE ---------- */
+// One JSON file per saved session under DATA_DIR/sessions/<id>.json.
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const SESSION_ID_RE = /^[a-z0-9_-]{1,64}$/i;
+
+function sessionFile(id) {
+  if (!SESSION_ID_RE.test(id || '')) return null;
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+async function loadSession(id) {
+  const file = sessionFile(id);
+  if (!file) return null;
+  try { return JSON.parse(await fs.promises.readFile(file, 'utf8')); }
+  catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+}
+
+async function writeSession(record) {
+  await fs.promises.mkdir(SESSIONS_DIR, { recursive: true });
+  const file = sessionFile(record.id);
+  const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;   // unique per write: concurrent saves never share one
+  await fs.promises.writeFile(tmp, JSON.stringify(record, null, 2));
+  await fs.promises.rename(tmp, file);
+  return record;
+}
+
+/**
+ * Create or update a session snapshot.
+ * Body: { id?, note?, transcript, summary, state, details?, grid, proposals?, provenance?, tombstones?, definition }
+ */
+async function saveSession(payload) {
+  const { id, note, transcript, summary, state, details, grid, proposals, provenance, tombstones, definition } = payload || {};
+  const prev = id ? await loadSession(id) : null;
+  if (id && !prev && !SESSION_ID_RE.test(id)) throw badRequest(`Invalid session id: ${id}`);
+  const nowIso = new Date().toISOString();
+  const record = {
+    id: prev?.id || id || `s_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+    note: (typeof note === 'string' && note.trim()) ? note.trim() : (prev?.note || ''),
+    created_at: prev?.created_at || nowIso,
+    updated_at: nowIso,
+    resumed_at: prev?.resumed_at || null,
+    transcript: Array.isArray(transcript)
+      ? transcript
+          .filter(t => t && typeof t.text === 'string')
+          .map(({ id: turnId, role, text, ts }) => ({
+            ...(typeof turnId === 'string' ? { id: turnId } : {}),
+            role: role === 'assistant' ? 'assistant' : 'user', text, ts: ts || null
+          }))
+      : (prev?.transcript || []),
+    summary: typeof summary === 'string' ? summary : (prev?.summary || ''),
+    state: state && typeof state === 'object' ? state : (prev?.state || {}),
+    details: details && typeof details === 'object' ? details : (prev?.details || {}),
+    grid: grid && typeof grid === 'object' ? grid : (prev?.grid || { options: [], criteria: [], cells: [] }),
+    proposals: Array.isArray(proposals) ? proposals.filter(p => p && typeof p === 'object') : (prev?.proposals || []),
+    provenance: Array.isArray(provenance) ? provenance.filter(m => m && typeof m.id === 'string') : (prev?.provenance || []),
+    tombstones: Array.isArray(tombstones) ? tombstones.filter(k => typeof k === 'string') : (prev?.tombstones || []),
+    definition: definition !== undefined ? definition : (prev?.definition ?? null)
+  };
+  return writeSession(record);
+}
+
+async function listSessions() {
+  let names = [];
+  try { names = await fs.promises.readdir(SESSIONS_DIR); }
+  catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+  const out = [];
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    const s = await loadSession(name.slice(0, -5)).catch(() => null);
+    if (!s) continue;
+    out.push({
+      id: s.id,
+      note: s.note,
+      created_at: s.created_at,
+      updated_at: s.updated_at,
+      turns: s.transcript?.length || 0,
+      summary: s.summary || ''
+    });
+  }
+  return out.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+}
+
+async function resumeSession(id) {
+  const s = await loadSession(id);
+  if (!s) return null;
+  s.resumed_at = new Date().toISOString();
+  return writeSession(s);
+}
+
+/** ---------- PV EXCHANGE ---------- */
+// Versioned bundle handed to the Perspective Visualizer (and accepted back).
+// Names are used instead of internal keys so other tools can read it as-is.
+const PV_FORMAT = 'perspective-exchange';
+const PV_VERSION = 1;
+
+function toPvBundle(session) {
+  const grid = session.grid || {};
+  const weights = grid.weights && typeof grid.weights === 'object' ? grid.weights : {};
+  const cellFields = c => {
+    const [o = '', k = ''] = String(c.key || '').split('|');
+    return {
+      option: c.option || o,
+      criterion: c.criterion || k,
+      weight: Number(c.weight) || 0,
+      conf: Math.max(0, Math.min(1, Number(c.conf) || 0)),
+      rationale: typeof c.rationale === 'string' ? c.rationale : '',
+      quote: typeof c.quote === 'string' ? c.quote : null
+    };
+  };
+  return {
+    format: PV_FORMAT,
+    version: PV_VERSION,
+    exported_at: new Date().toISOString(),
+    source: { app: 'realtime-voice-summary', session_id: session.id, created_at: session.created_at, updated_at: session.updated_at },
+    definition: session.definition ?? null,
+    summary: session.summary || '',
+    state: normalizeState(session.state),
+    details: stateDetails(withDetails(normalizeState(session.state), session.details)),
+    grid: {
+      options: (Array.isArray(grid.options) ? grid.options : []).filter(v => typeof v === 'string'),
+      criteria: (Array.isArray(grid.criteria) ? grid.criteria : []).filter(v => typeof v === 'string').map(name => {
+        const w = Number(weights[name.trim().toLowerCase()]);
+        return { name, importance: Number.isFinite(w) ? w : 1 };
+      }),
+      cells: (Array.isArray(grid.cells) ? grid.cells : []).filter(c => c && typeof c === 'object').map(cellFields)
+    },
+    proposals: (Array.isArray(session.proposals) ? session.proposals : []).map(p => ({
+      type: p.type,
+      ...(p.type === 'set_cell' ? cellFields(p) : { option: p.option || null, criterion: p.criterion || null, rationale: p.rationale || '', quote: p.quote || null }),
+      source: p.source || null
+    }))
+  };
+}
+
+/**
+ * Turn an exchange bundle back into a saveSession payload.
+ * Throws on anything that is not a bundle this version understands.
+ */
+function fromPvBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object') throw new Error('Bundle must be a JSON object');
+  if (bundle.format !== PV_FORMAT) throw new Error(`Unknown bundle format: ${bundle.format}`);
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > PV_VERSION) {
+    throw new Error(`Unsupported bundle version: ${bundle.version}`);
+  }
+  const g = bundle.grid && typeof bundle.grid === 'object' ? bundle.grid : {};
+  const name = v => (typeof v === 'string' ? v.trim() : '');
+  const criteria = (Array.isArray(g.criteria) ? g.criteria : [])
+    .map(c => (typeof c === 'string' ? { name: c } : c))
+    .filter(c => name(c?.name));
+  const cells = (Array.isArray(g.cells) ? g.cells : []).filter(c => name(c?.option) && name(c?.criterion)).map(c => ({
+    key: `${name(c.option).toLowerCase()}|${name(c.criterion).toLowerCase()}`,
+    option: name(c.option),
+    criterion: name(c.criterion),
+    weight: Math.max(-100, Math.min(100, Number(c.weight) || 0)),
+    conf: Math.max(0, Math.min(1, Number(c.conf) || 0)),
+    rationale: typeof c.rationale === 'string' ? c.rationale : '',
+    ...(typeof c.quote === 'string' && c.quote ? { quote: c.quote } : {})
+  }));
+  const proposals = (Array.isArray(bundle.proposals) ? bundle.proposals : [])
+    .filter(p => ['add_option', 'add_criterion', 'set_cell'].includes(p?.type))
+    .map(({ type, option, criterion, weight, conf, rationale, quote, source }) => ({
+      type, option: name(option) || undefined, criterion: name(criterion) || undefined,
+      ...(type === 'set_cell' ? { weight: Number(weight) || 0, conf: Math.max(0, Math.min(1, Number(conf) || 0)) } : {}),
+      rationale: typeof rationale === 'string' ? rationale : '',
+      ...(typeof quote === 'string' && quote ? { quote } : {}),
+      source: typeof source === 'string' ? source : 'pv'
+    }));
+  return {
+    note: `Imported from ${bundle.source?.app || 'bundle'}${bundle.source?.session_id ? ` (${bundle.source.session_id})` : ''}`,
+    transcript: [],
+    summary: typeof bundle.summary === 'string' ? bundle.summary : '',
+    state: normalizeState(bundle.state),
+    details: stateDetails(withDetails(normalizeState(bundle.state), bundle.details)),
+    grid: {
+      options: (Array.isArray(g.options) ? g.options : []).map(name).filter(Boolean),
+      criteria: criteria.map(c => name(c.name)),
+      cells,
+      weights: Object.fromEntries(criteria
+        .filter(c => Number.isFinite(Number(c.importance)))
+        .map(c => [name(c.name).toLowerCase(), Math.max(0, Number(c.importance))]))
+    },
+    proposals,
+    definition: bundle.definition && typeof bundle.definition === 'object' ? bundle.definition : null
+  };
+}
+
+// POST the bundle to PV_URL. Returns { sent, status?, url? } (url = where the visualizer opened it, if it says),
+// or { sent: false, error } when the visualizer does not answer within PV_TIMEOUT_MS.
+async function sendToPv(bundle) {
+  if (!PV_URL) return { sent: false };
+  let r;
+  try {
+    r = await fetch(PV_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(bundle),
+      signal: AbortSignal.timeout(PV_TIMEOUT_MS)
+    });
+  } catch (e) {
+    const name = /** @type {Error} */(e).name;
+    if (name === 'TimeoutError' || name === 'AbortError') return { sent: false, error: `Visualizer did not answer within ${PV_TIMEOUT_MS} ms` };
+    throw e;
+  }
+  if (!r.ok) throw new Error(`Visualizer error: ${r.status} ${await r.text()}`);
+  const data = await r.json().catch(() => ({}));
+  return { sent: true, status: r.status, url: typeof data?.url === 'string' ? data.url : (r.headers.get('Location') || null) };
+}
+
+/** ---------- REPORTS ---------- */
+// End-of-session report as Markdown, standalone HTML or JSON.
+// Body: { title?, definition, summary, state, details?, grid: { options, criteria, cells }, transcript?, include_transcript? }
+const REPORT_FORMATS = {
+  md:   { type: 'text/markdown; charset=utf-8', ext: 'md' },
+  html: { type: 'text/html; charset=utf-8', ext: 'html' },
+  json: { type: 'application/json; charset=utf-8', ext: 'json' }
+};
+
+function reportModel(payload) {
+  const { title, definition = null, summary = '', transcript = [], include_transcript = false } = payload || {};
+  // Defaults only cover undefined; null or a non-object (e.g. {"grid": null}) must not crash
+  const obj = v => (v && typeof v === 'object' && !Array.isArray(v) ? v : {});
+  const state = obj(payload?.state), details = obj(payload?.details), grid = obj(payload?.grid);
+  const def = definition && typeof definition === 'object' ? definition : null;
+  const cells = (Array.isArray(grid.cells) ? grid.cells : []).filter(c => c && typeof c === 'object').map(c => {
+    const [o = '', k = ''] = String(c.key || '').split('|');
+    return {
+      option: c.option || o,
+      criterion: c.criterion || k,
+      weight: Number(c.weight) || 0,
+      conf: Math.max(0, Math.min(1, Number(c.conf) || 0)),
+      rationale: typeof c.rationale === 'string' ? c.rationale : '',
+      quote: typeof c.quote === 'string' ? c.quote : ''
+    };
+  });
+  return {
+    title: (typeof title === 'string' && title.trim()) || (def && typeof def.title === 'string' && def.title) || 'Session report',
+    generated_at: new Date().toISOString(),
+    definition: def || (typeof definition === 'string' && definition.trim() ? definition.trim() : null),
+    summary: typeof summary === 'string' ? summary.trim() : '',
+    state: withDetails(normalizeState(state), details),
+    grid: {
+      options: Array.isArray(grid.options) ? grid.options.filter(v => typeof v === 'string') : [],
+      criteria: Array.isArray(grid.criteria) ? grid.criteria.filter(v => typeof v === 'string') : [],
+      weights: grid.weights && typeof grid.weights === 'object' ? grid.weights : {},
+      cells
+    },
+    transcript: include_transcript && Array.isArray(transcript)
+      ? transcript.filter(t => t && typeof t.text === 'string').map(({ role, text, ts }) => ({ role: role === 'assistant' ? 'assistant' : 'user', text, ts: ts || null }))
+      : null
+  };
+}
+
+function definitionEntries(def) {
+  if (!def) return [];
+  if (typeof def === 'string') return [['Definition', def]];
+  return Object.entries(def)
+    .filter(([, v]) => v != null && v !== '' && !(Array.isArray(v) && !v.length))
+    .map(([k, v]) => [k.replace(/_/g, ' '), Array.isArray(v) ? v.join(', ') : (typeof v === 'object' ? JSON.stringify(v) : String(v))]);
+}
+
+// "text — owner: Sam · due: 2026-10-23 · status: open" for records; plain text otherwise.
+function itemLine(key, v) {
+  if (typeof v === 'string') return v;
+  const parts = (FIELDED[key] || []).filter(f => v[f.name] !== null && v[f.name] !== undefined).map(f => `${f.label}: ${v[f.name]}`);
+  return parts.length ? `${v.text} — ${parts.join(' · ')}` : v.text;
+}
+
+function reportMarkdown(r) {
+  const md = s => String(s ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const out = [`# ${r.title}`, '', `_Generated ${r.generated_at}_`, ''];
+  const def = definitionEntries(r.definition);
+  if (def.length) out.push('## Definition', '', ...def.map(([k, v]) => `- **${k}:** ${v}`), '');
+  out.push('## Summary', '', r.summary || '_No summary._', '');
+  out.push(`## ${PERSPECTIVE.label}`, '');
+  for (const [k, label] of Object.entries(BUCKET_LABELS)) {
+    out.push(`### ${label}`, '', ...(r.state[k].length ? r.state[k].map(v => `- ${itemLine(k, v)}`) : ['_None._']), '');
+  }
+  out.push('## Decision grid', '');
+  if (r.grid.cells.length) {
+    out.push('| Option | Criterion | Weight | Confidence | Rationale |', '| --- | --- | ---: | ---: | --- |');
+    for (const c of r.grid.cells) out.push(`| ${md(c.option)} | ${md(c.criterion)} | ${c.weight} | ${Math.round(c.conf * 100)}% | ${md(c.rationale)}${c.quote ? ` “${md(c.quote)}”` : ''} |`);
+  } else {
+    out.push('_No accepted cells._');
+  }
+  if (r.grid.options.length) out.push('', `Options: ${r.grid.options.join(', ')}`);
+  if (r.grid.criteria.length) out.push('', `Criteria (importance): ${r.grid.criteria.map(c => `${c} (${r.grid.weights[c.toLowerCase()] ?? 1})`).join(', ')}`);
+  out.push('');
+  if (r.transcript) {
+    out.push('## Transcript', '');
+    for (const t of r.transcript) out.push(`**${t.role === 'assistant' ? 'Coach' : 'User'}:** ${t.text}`, '');
+  }
+  return out.join('\n');
+}
+
+function reportHtml(r) {
+  const esc = s => String(s ?? '').replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+  const list = (k, items) => items.length ? `<ul>${items.map(v => `<li>${esc(itemLine(k, v))}</li>`).join('')}</ul>` : '<p class="none">None.</p>';
+  const def = definitionEntries(r.definition);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${esc(r.title)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; margin: 2rem auto; max-width: 960px; color: #222; }
+  .meta, .none { color: #666; font-size: 0.9rem; }
+  .summary { white-space: pre-wrap; border: 1px solid #ddd; padding: 1rem; border-radius: 8px; }
+  .buckets { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px; }
+  .card { border: 1px solid #e5e5e5; border-radius: 10px; padding: 10px; }
+  .card h3 { margin: 0 0 6px 0; font-size: 0.95rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #e5e5e5; padding: 6px 8px; text-align: left; }
+  .turn { margin: 6px 0; }
+</style>
+</head>
+<body>
+<h1>${esc(r.title)}</h1>
+<p class="meta">Generated ${esc(r.generated_at)}</p>
+${def.length ? `<h2>Definition</h2><dl>${def.map(([k, v]) => `<dt><b>${esc(k)}</b></dt><dd>${esc(v)}</dd>`).join('')}</dl>` : ''}
+<h2>Summary</h2>
+<div class="summary">${esc(r.summary) || '<span class="none">No summary.</span>'}</div>
+<h2>${esc(PERSPECTIVE.label)}</h2>
+<div class="buckets">
+${Object.entries(BUCKET_LABELS).map(([k, label]) => `<div class="card"><h3>${esc(label)}</h3>${list(k, r.state[k])}</div>`).join('\n')}
+</div>
+<h2>Decision grid</h2>
+${r.grid.cells.length
+    ? `<table><thead><tr><th>Option</th><th>Criterion</th><th>Weight</th><th>Confidence</th><th>Rationale</th></tr></thead><tbody>${
+        r.grid.cells.map(c => `<tr><td>${esc(c.option)}</td><td>${esc(c.criterion)}</td><td>${c.weight}</td><td>${Math.round(c.conf * 100)}%</td><td>${esc(c.rationale)}${c.quote ? ` <q>${esc(c.quote)}</q>` : ''}</td></tr>`).join('')
+      }</tbody></table>`
+    : '<p class="none">No accepted cells.</p>'}
+${r.grid.options.length ? `<p><b>Options:</b> ${esc(r.grid.options.join(', '))}</p>` : ''}
+${r.grid.criteria.length ? `<p><b>Criteria (importance):</b> ${esc(r.grid.criteria.map(c => `${c} (${r.grid.weights[c.toLowerCase()] ?? 1})`).join(', '))}</p>` : ''}
+${r.transcript ? `<h2>Transcript</h2>${r.transcript.map(t => `<p class="turn"><b>${t.role === 'assistant' ? 'Coach' : 'User'}:</b> ${esc(t.text)}</p>`).join('\n')}` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Returns { body, type, filename } for format md|html|json.
+ */
+function buildReport(payload, format) {
+  const f = REPORT_FORMATS[format] ? format : 'md';
+  const r = reportModel(payload);
+  const body = f === 'json' ? JSON.stringify(r, null, 2) : f === 'html' ? reportHtml(r) : reportMarkdown(r);
+  const slug = r.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 48) || 'session';
+  return { body, type: REPORT_FORMATS[f].type, filename: `${slug}-report.${REPORT_FORMATS[f].ext}` };
+}
+
+/** ---------- TASK EXPORT ---------- */
+// Items of "tasks" buckets (see STATE SCHEMA) as iCalendar VTODOs, CSV or JSON.
+// Uses the owner / due / status fields when the bucket defines them.
+// Body: { title?, state, details }
+const TASK_FORMATS = {
+  ics:  { type: 'text/calendar; charset=utf-8', ext: 'ics' },
+  csv:  { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  json: { type: 'application/json; charset=utf-8', ext: 'json' }
+};
+const VTODO_STATUS = { done: 'COMPLETED', completed: 'COMPLETED', in_progress: 'IN-PROCESS', cancelled: 'CANCELLED' };
+
+function taskList(payload) {
+  const recs = withDetails(normalizeState(payload?.state), payload?.details);
+  const out = [];
+  for (const b of PERSPECTIVE.buckets.filter(x => x.kind === 'tasks')) {
+    for (const v of recs[b.key]) {
+      const r = typeof v === 'string' ? { text: v } : v;
+      out.push({
+        id: crypto.createHash('sha256').update(`${b.key}:${r.text.toLowerCase()}`).digest('hex').slice(0, 16),
+        list: b.label,
+        title: r.text,
+        owner: r.owner ?? null,
+        due: r.due ?? null,
+        status: r.status ?? b.fields.find(f => f.name === 'status')?.default ?? null
+      });
+    }
+  }
+  return out;
+}
+
+function tasksIcs(tasks) {
+  const esc = s => String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  // RFC 5545: lines longer than 75 octets continue on the next line after a space
+  const fold = line => {
+    const parts = []; let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+      let n = 75; while (Buffer.byteLength(rest.slice(0, n)) > 75) n--;
+      parts.push(rest.slice(0, n)); rest = ` ${rest.slice(n)}`;
+    }
+    return [...parts, rest].join('\r\n');
+  };
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//realtime-voice-summary//tasks//EN'];
+  for (const t of tasks) {
+    lines.push('BEGIN:VTODO', `UID:${t.id}@realtime-voice-summary`, `DTSTAMP:${stamp}`, `SUMMARY:${esc(t.title)}`);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(t.due || '')) lines.push(`DUE;VALUE=DATE:${t.due.replace(/-/g, '')}`);
+    lines.push(`STATUS:${VTODO_STATUS[t.status] || 'NEEDS-ACTION'}`);
+    const desc = [t.owner && `Owner: ${t.owner}`, t.due && !/^\d{4}-\d{2}-\d{2}$/.test(t.due) && `Due: ${t.due}`, `List: ${t.list}`].filter(Boolean).join('\n');
+    lines.push(`DESCRIPTION:${esc(desc)}`, 'END:VTODO');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+function tasksCsv(tasks) {
+  const cell = v => (v === null || v === undefined ? '' : /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return [['title', 'owner', 'due', 'status', 'list'], ...tasks.map(t => [t.title, t.owner, t.due, t.status, t.list])]
+    .map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Returns { body, type, filename } for format ics|csv|json.
+ */
+function buildTasks(payload, format) {
+  const f = TASK_FORMATS[format] ? format : 'ics';
+  const tasks = taskList(payload);
+  const title = typeof payload?.title === 'string' && payload.title.trim() ? payload.title.trim() : 'Session tasks';
+  const body = f === 'ics' ? tasksIcs(tasks)
+    : f === 'csv' ? tasksCsv(tasks)
+    : JSON.stringify({ title, exported_at: new Date().toISOString(), tasks }, null, 2);
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 48) || 'session';
+  return { body, type: TASK_FORMATS[f].type, filename: `${slug}-tasks.${TASK_FORMATS[f].ext}` };
 }
 
 /** ---------- static files ---------- */
@@ -264,6 +1620,7 @@ const server = http.createServer(async (req, res) => {
       }
       if (req.method !== 'POST') { res.writeHead(405); res.end('Method Not Allowed'); return; }
       const body = await readJson(req);
+      if (requestUrl.searchParams.get('stream') === '1') { await streamSummary(body, res); return; }
       const out = await summarize(body);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(out));
@@ -286,13 +1643,170 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    if (pathname === '/grid') {
+      cors();
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }); res.end(); return;
+      }
+      if (req.method !== 'POST') { res.writeHead(405); res.end('Method Not Allowed'); return; }
+      const body = await readJson(req);
+      const out = await extractGrid(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(out));
+      return;
+    }
+
+    if (pathname === '/analyze') {
+      cors();
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }); res.end(); return;
+      }
+      if (req.method !== 'POST') { res.writeHead(405); res.end('Method Not Allowed'); return; }
+      const body = await readJson(req);
+      if (requestUrl.searchParams.get('stream') === '1') { await streamAnalysis(body, res); return; }
+      const out = await analyzeTurn(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(out));
+      return;
+    }
+
+    if (pathname === '/report') {
+      cors();
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }); res.end(); return;
+      }
+      if (req.method !== 'POST') { res.writeHead(405); res.end('Method Not Allowed'); return; }
+      const body = await readJson(req);
+      const report = buildReport(body, requestUrl.searchParams.get('format') || body.format);
+      res.writeHead(200, {
+        'Content-Type': report.type,
+        'Content-Disposition': `attachment; filename="${report.filename}"`,
+        'Access-Control-Expose-Headers': 'Content-Disposition'
+      });
+      res.end(report.body);
+      return;
+    }
+
+    if (pathname === '/tasks') {
+      cors();
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }); res.end(); return;
+      }
+      if (req.method !== 'POST') { res.writeHead(405); res.end('Method Not Allowed'); return; }
+      const body = await readJson(req);
+      const out = buildTasks(body, requestUrl.searchParams.get('format') || body.format);
+      res.writeHead(200, {
+        'Content-Type': out.type,
+        'Content-Disposition': `attachment; filename="${out.filename}"`,
+        'Access-Control-Expose-Headers': 'Content-Disposition'
+      });
+      res.end(out.body);
+      return;
+    }
+
+    if (pathname === '/sessions') {
+      cors();
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }); res.end(); return;
+      }
+      if (req.method === 'GET') {
+        const sessions = await listSessions();
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ sessions }));
+        return;
+      }
+      if (req.method !== 'POST') { res.writeHead(405); res.end('Method Not Allowed'); return; }
+      const body = await readJson(req);
+      const saved = await saveSession(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ session_id: saved.id, updated_at: saved.updated_at }));
+      return;
+    }
+
+    if (pathname === '/schema') {
+      cors();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ...PERSPECTIVE, definition: DEFINITION_SCHEMA }));
+      return;
+    }
+
+    if (pathname === '/sessions/import') {
+      cors();
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }); res.end(); return;
+      }
+      if (req.method !== 'POST') { res.writeHead(405); res.end('Method Not Allowed'); return; }
+      const body = await readJson(req);
+      let payload;
+      try { payload = fromPvBundle(body); }
+      catch (e) { res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }); res.end(/** @type {Error} */(e).message); return; }
+      const saved = await saveSession(payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ session_id: saved.id, updated_at: saved.updated_at }));
+      return;
+    }
+
+    const sessionMatch = pathname.match(/^\/sessions\/([^/]+)(\/resume|\/pv\.json|\/pv)?$/);
+    if (sessionMatch) {
+      cors();
+      const [, id, sub = ''] = sessionMatch;
+      const method = sub === '/resume' || sub === '/pv' ? 'POST' : 'GET';
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': `${method}, OPTIONS`,
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }); res.end(); return;
+      }
+      if (req.method !== method) { res.writeHead(405); res.end('Method Not Allowed'); return; }
+      if (!SESSION_ID_RE.test(id)) throw badRequest(`Invalid session id: ${id}`);
+      const session = sub === '/resume' ? await resumeSession(id) : await loadSession(id);
+      if (!session) { res.writeHead(404); res.end('Session not found'); return; }
+      if (sub === '/pv.json') {
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="pv-${session.id}.json"`,
+          'Access-Control-Expose-Headers': 'Content-Disposition'
+        });
+        res.end(JSON.stringify(toPvBundle(session), null, 2));
+        return;
+      }
+      if (sub === '/pv') {
+        const out = await sendToPv(toPvBundle(session));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(out));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(session));
+      return;
+    }
+
     serveStatic(req, res);
   } catch (err) {
-    res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
-    res.end(`Server error: ${/** @type {Error} */(err).message}`);
+    const bad = /** @type {any} */(err).status === 400;
+    res.writeHead(bad ? 400 : 500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(bad ? /** @type {Error} */(err).message : `Server error: ${/** @type {Error} */(err).message}`);
   }
 });
 
 server.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
+  console.log(`Server running at http://localhost:${PORT}${MOCK ? ' (MOCK mode)' : ''}`);
 });